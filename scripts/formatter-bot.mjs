@@ -0,0 +1,50 @@
+// An example bot built on src/headless.js. It joins a room and, whenever
+// someone has stopped typing for a moment, collapses runs of spaces.
+//
+//   node scripts/formatter-bot.mjs <host> <room> <token>
+//
+// e.g. node scripts/formatter-bot.mjs localhost:1999 my-doc "$(AUTH_SECRET=... \
+//   node scripts/sign-token.mjs formatter "Formatter bot")"
+
+import WebSocket from "ws";
+import { joinRoom } from "../src/headless.js";
+
+const [host, room, token] = process.argv.slice(2);
+
+if (!host || !room || !token) {
+  console.error("Usage: node scripts/formatter-bot.mjs <host> <room> <token>");
+  process.exit(1);
+}
+
+const IDLE_MS = 2000;
+
+const client = await joinRoom({ host, room, token, WebSocket });
+console.log(`Formatting ${room} as ${client.user.name} (${client.role})`);
+
+const format = () => {
+  const changed = client.edit((tr) => {
+    const runs = [];
+    tr.doc.descendants((node, pos) => {
+      if (!node.isText) return;
+      for (const match of node.text.matchAll(/ {2,}/g)) {
+        runs.push({ from: pos + match.index, to: pos + match.index + match[0].length });
+      }
+    });
+    // Back to front, so earlier positions stay valid
+    runs.reverse().forEach(({ from, to }) => tr.insertText(" ", from, to));
+  });
+  if (changed) console.log("Collapsed spaces");
+};
+
+let timer = null;
+client.doc.on("update", (_update, origin) => {
+  // Only react to other people's edits
+  if (origin !== client.provider) return;
+  clearTimeout(timer);
+  timer = setTimeout(format, IDLE_MS);
+});
+
+process.on("SIGINT", () => {
+  client.destroy();
+  process.exit(0);
+});
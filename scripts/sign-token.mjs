@@ -0,0 +1,33 @@
+// Issues an access token for EditorServer, signed with AUTH_SECRET.
+//
+//   AUTH_SECRET=... node scripts/sign-token.mjs <user-id> <name> [ttl-seconds]
+//
+// Open the editor with ?token=<token> once; the client remembers it.
+
+import { createHmac } from "node:crypto";
+
+const [id, name, ttl = String(7 * 24 * 60 * 60)] = process.argv.slice(2);
+const secret = process.env.AUTH_SECRET;
+
+if (!id || !name || !secret) {
+  console.error(
+    "Usage: AUTH_SECRET=... node scripts/sign-token.mjs <user-id> <name> [ttl-seconds]"
+  );
+  process.exit(1);
+}
+
+const base64Url = (value) => Buffer.from(value).toString("base64url");
+
+const header = base64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+const payload = base64Url(
+  JSON.stringify({
+    sub: id,
+    name,
+    exp: Math.floor(Date.now() / 1000) + Number(ttl),
+  })
+);
+const signature = createHmac("sha256", secret)
+  .update(`${header}.${payload}`)
+  .digest("base64url");
+
+console.log(`${header}.${payload}.${signature}`);
@@ -0,0 +1,53 @@
+// A local stand-in for a webhook endpoint. Prints every delivery and checks
+// its signature against the secret EditorServer returned for the webhook.
+//
+//   WEBHOOK_SECRET=... node scripts/webhook-receiver.mjs [port] [fail-first]
+//
+// With fail-first, the first that many deliveries get a 500, to try out
+// retries.
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+
+const [port = "8787", failFirst = "0"] = process.argv.slice(2);
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+  console.error(
+    "Usage: WEBHOOK_SECRET=... node scripts/webhook-receiver.mjs [port] [fail-first]"
+  );
+  process.exit(1);
+}
+
+let failures = Number(failFirst);
+
+createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks);
+    const expected = Buffer.from(
+      `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`
+    );
+    const received = Buffer.from(req.headers["x-webhook-signature"] ?? "");
+    const valid =
+      expected.length === received.length && timingSafeEqual(expected, received);
+    if (!valid) {
+      console.log("Rejected a delivery with a bad signature");
+      res.writeHead(401).end();
+      return;
+    }
+    const payload = JSON.parse(body.toString());
+    if (failures > 0) {
+      failures--;
+      console.log(`Failing ${payload.event} on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+    console.log(`${payload.event} in ${payload.room}`);
+    console.log(JSON.stringify(payload, null, 2));
+    res.writeHead(204).end();
+  });
+}).listen(Number(port), () => {
+  console.log(`Listening on http://localhost:${port}`);
+});
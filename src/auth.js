@@ -0,0 +1,68 @@
+/* eslint-env browser */
+
+const TOKEN_KEY = "auth-token";
+
+/**
+ * @typedef {Object} Identity
+ * @property {string} id
+ * @property {string} name
+ */
+
+/**
+ * Reads the claims of a token without verifying it. EditorServer verifies
+ * the signature, this is only so we can show who we are signed in as.
+ * @param {string} token
+ * @returns {(Identity & { exp?: number })|null}
+ */
+const decodeToken = (token) => {
+  try {
+    const payload = token.split(".")[1];
+    const bytes = Uint8Array.from(
+      atob(payload.replace(/-/g, "+").replace(/_/g, "/")),
+      (char) => char.charCodeAt(0)
+    );
+    const claims = JSON.parse(new TextDecoder().decode(bytes));
+    return { id: claims.sub, name: claims.name, exp: claims.exp };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string} token
+ */
+const isUsable = (token) => {
+  const claims = decodeToken(token);
+  return (
+    claims !== null &&
+    typeof claims.name === "string" &&
+    (claims.exp === undefined || claims.exp * 1000 > Date.now())
+  );
+};
+
+/**
+ * Finds the access token in `?token=` (remembering it and removing it from
+ * the address bar), localStorage, or by asking for it.
+ * @returns {{ token: string, user: Identity }|null}
+ */
+export const signIn = () => {
+  const url = new URL(window.location.href);
+  const fromUrl = url.searchParams.get("token");
+  if (fromUrl !== null) {
+    localStorage.setItem(TOKEN_KEY, fromUrl);
+    url.searchParams.delete("token");
+    window.history.replaceState(null, "", url);
+  }
+
+  let token = localStorage.getItem(TOKEN_KEY);
+  if (token === null || !isUsable(token)) {
+    token = prompt("Paste your access token:", "");
+  }
+  if (!token || !isUsable(token)) {
+    localStorage.removeItem(TOKEN_KEY);
+    return null;
+  }
+  localStorage.setItem(TOKEN_KEY, token);
+  const { id, name } = /** @type {Identity} */ (decodeToken(token));
+  return { token, user: { id, name } };
+};
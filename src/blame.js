@@ -0,0 +1,321 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { Plugin, PluginKey } from "prosemirror-state";
+import { Mapping, StepMap } from "prosemirror-transform";
+import { Decoration, DecorationSet } from "prosemirror-view";
+import { ySyncPluginKey } from "y-prosemirror";
+import { html, render } from "lit-html";
+import { getLightColor, getUserColor } from "./colors.js";
+
+export const blamePluginKey = new PluginKey("blame");
+
+// Blame is recomputed over the whole document, so at most this often while
+// it's being edited. In between, ranges move with the text around them.
+const REFRESH_MS = 500;
+
+/**
+ * Versions' state vectors, decoded once per version
+ * @type {WeakMap<import("./versions.js").Version, Map<number, number>>}
+ */
+const versionStateVectors = new WeakMap();
+
+/** @param {import("./versions.js").Version} version */
+const stateVectorOf = (version) => {
+  let sv = versionStateVectors.get(version);
+  if (sv === undefined) {
+    sv = Y.decodeSnapshot(version.snapshot).sv;
+    versionStateVectors.set(version, sv);
+  }
+  return sv;
+};
+
+/**
+ * @typedef {Object} BlameRange
+ * @property {number} from
+ * @property {number} to
+ * @property {string} user
+ * @property {number} clientID The client that wrote it
+ * @property {import("./versions.js").Version|null} version The first version
+ *   it appears in, or null if it's newer than every version
+ */
+
+/**
+ * Every author's color comes from the first client they registered in
+ * PermanentUserData, so it's the same for everyone and across sessions
+ * @param {Y.Doc} doc
+ * @param {string|null} user
+ * @param {number} clientID Fallback for unknown users
+ */
+const colorOf = (doc, user, clientID) => {
+  const ids = user === null ? undefined : doc.getMap("users").get(user)?.get("ids");
+  return getUserColor(ids !== undefined && ids.length > 0 ? ids.get(0) : clientID);
+};
+
+/**
+ * Splits the characters `clock` to `clock + length` of `client` by the first
+ * version each appears in
+ * @param {number} client
+ * @param {number} clock
+ * @param {number} length
+ * @param {{ version: import("./versions.js").Version, sv: Map<number, number> }[]} versions
+ *   Oldest first
+ * @returns {{ offset: number, length: number, version: import("./versions.js").Version|null }[]}
+ */
+const splitByVersion = (client, clock, length, versions) => {
+  const parts = [];
+  let offset = 0;
+  for (const { version, sv } of versions) {
+    if (offset === length) break;
+    const known = (sv.get(client) ?? 0) - clock;
+    if (known > offset) {
+      const end = Math.min(known, length);
+      parts.push({ offset, length: end - offset, version });
+      offset = end;
+    }
+  }
+  if (offset < length) {
+    parts.push({ offset, length: length - offset, version: null });
+  }
+  return parts;
+};
+
+/**
+ * Who wrote each range of the live document, and in which version it first
+ * appeared. Walks the Yjs structure the same way ySyncPlugin renders it, so
+ * positions match the editor.
+ * @param {Y.Doc} doc
+ * @param {Y.PermanentUserData} permanentUserData
+ * @param {import("prosemirror-model").Schema} schema
+ * @returns {BlameRange[]}
+ */
+export const blameRanges = (doc, permanentUserData, schema) => {
+  const versions = doc
+    .getArray("versions")
+    .toArray()
+    .map((version) => ({ version, sv: stateVectorOf(version) }));
+  /** @type {BlameRange[]} */
+  const ranges = [];
+  /**
+   * @param {Y.ID} id
+   * @param {number} pos
+   * @param {number} length
+   */
+  const add = (id, pos, length) => {
+    const user = permanentUserData.getUserByClientId(id.client) ?? "Unknown user";
+    for (const part of splitByVersion(id.client, id.clock, length, versions)) {
+      const from = pos + part.offset;
+      const last = ranges[ranges.length - 1];
+      if (
+        last !== undefined &&
+        last.to === from &&
+        last.user === user &&
+        last.version === part.version
+      ) {
+        last.to += part.length;
+      } else {
+        ranges.push({
+          from,
+          to: from + part.length,
+          user,
+          clientID: id.client,
+          version: part.version,
+        });
+      }
+    }
+  };
+  /**
+   * @param {Y.XmlFragment|Y.XmlElement} type
+   * @param {number} pos Where the type's content starts
+   * @returns {number} Where it ends
+   */
+  const visit = (type, pos) => {
+    for (let item = type._start; item !== null; item = item.right) {
+      if (item.deleted || !item.countable) continue;
+      const child = item.content.type;
+      if (child instanceof Y.XmlText) {
+        for (let text = child._start; text !== null; text = text.right) {
+          if (text.deleted || !text.countable) continue;
+          add(text.id, pos, text.length);
+          pos += text.length;
+        }
+        continue;
+      }
+      const nodeType = schema.nodes[child.nodeName];
+      if (nodeType === undefined) continue;
+      if (nodeType.isLeaf) {
+        if (nodeType.isInline) add(item.id, pos, 1);
+        pos += 1;
+      } else {
+        pos = visit(child, pos + 1) + 1;
+      }
+    }
+    return pos;
+  };
+  visit(doc.getXmlFragment("prosemirror"), 0);
+  return ranges;
+};
+
+/**
+ * @param {import("./versions.js").Version|null} version
+ */
+const describeVersion = (version) => {
+  if (version === null) return "Not in a version yet";
+  const date = new Date(version.date).toLocaleString();
+  return version.name
+    ? `First in version "${version.name}" (${date})`
+    : `First in the version of ${date}`;
+};
+
+/**
+ * @param {import("prosemirror-state").EditorState} state
+ * @param {Y.Doc} doc
+ * @param {Y.PermanentUserData} permanentUserData
+ */
+const buildDecorations = (state, doc, permanentUserData) => {
+  const syncState = ySyncPluginKey.getState(state);
+  // Blame is for the live document, versions have their own change colors
+  if (
+    syncState == null ||
+    syncState.snapshot != null ||
+    syncState.prevSnapshot != null
+  ) {
+    return DecorationSet.empty;
+  }
+  const size = state.doc.content.size;
+  const decorations = blameRanges(doc, permanentUserData, state.schema)
+    .filter((range) => range.to <= size)
+    .map((range) =>
+      Decoration.inline(range.from, range.to, {
+        class: "blame",
+        style: `background-color: ${getLightColor(colorOf(doc, range.user, range.clientID), 0.35)}`,
+        title: `${range.user}\n${describeVersion(range.version)}`,
+      })
+    );
+  return DecorationSet.create(state.doc, decorations);
+};
+
+/**
+ * Where a change from ySyncPlugin was. It replaces the whole document, so
+ * mapping through its steps would drop every range.
+ * @param {import("prosemirror-model").Node} before
+ * @param {import("prosemirror-model").Node} after
+ */
+const syncMapping = (before, after) => {
+  const start = before.content.findDiffStart(after.content);
+  if (start === null) return new Mapping();
+  const end = /** @type {{ a: number, b: number }} */ (
+    before.content.findDiffEnd(after.content)
+  );
+  // The two ends can overlap the start when the text around it repeats
+  const overlap = start - Math.min(end.a, end.b);
+  if (overlap > 0) {
+    end.a += overlap;
+    end.b += overlap;
+  }
+  return new Mapping([new StepMap([start, end.a - start, end.b - start])]);
+};
+
+/**
+ * Colors the live document by author when switched on. Hovering a range
+ * shows who wrote it and the version it first appeared in.
+ * @param {Y.Doc} doc
+ * @param {Y.PermanentUserData} permanentUserData
+ */
+export const blamePlugin = (doc, permanentUserData) =>
+  new Plugin({
+    key: blamePluginKey,
+    state: {
+      init: () => ({ active: false, decorations: DecorationSet.empty }),
+      apply: (tr, value, oldState, newState) => {
+        const meta = tr.getMeta(blamePluginKey);
+        const active =
+          meta !== undefined && meta.active !== undefined
+            ? meta.active
+            : value.active;
+        if (!active) {
+          return { active, decorations: DecorationSet.empty };
+        }
+        const sync = tr.getMeta(ySyncPluginKey);
+        // Switched on, refreshed by the view below, or switched between the
+        // live document and a version
+        if (meta !== undefined || (sync !== undefined && !sync.isChangeOrigin)) {
+          try {
+            return {
+              active,
+              decorations: buildDecorations(newState, doc, permanentUserData),
+            };
+          } catch (err) {
+            console.error("Couldn't compute blame", err);
+          }
+        }
+        const mapping =
+          sync === undefined ? tr.mapping : syncMapping(oldState.doc, tr.doc);
+        return {
+          active,
+          decorations: value.decorations.map(mapping, tr.doc),
+        };
+      },
+    },
+    props: {
+      decorations: (state) => blamePluginKey.getState(state).decorations,
+    },
+    view: (view) => {
+      // Our own edits reach Yjs after the plugin state is applied, and new
+      // versions change what's attributed to which, so recompute once Yjs
+      // has settled, every REFRESH_MS at most
+      const fragment = doc.getXmlFragment("prosemirror");
+      const versions = doc.getArray("versions");
+      /** @type {ReturnType<typeof setTimeout>|null} */
+      let timer = null;
+      const refresh = () => {
+        if (timer !== null || !blamePluginKey.getState(view.state).active) {
+          return;
+        }
+        timer = setTimeout(() => {
+          timer = null;
+          view.dispatch(view.state.tr.setMeta(blamePluginKey, {}));
+        }, REFRESH_MS);
+      };
+      fragment.observeDeep(refresh);
+      versions.observe(refresh);
+      return {
+        destroy: () => {
+          if (timer !== null) clearTimeout(timer);
+          fragment.unobserveDeep(refresh);
+          versions.unobserve(refresh);
+        },
+      };
+    },
+  });
+
+/**
+ * A button that switches blame mode on and off
+ * @param {HTMLElement} parent
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @returns {() => void} Removes the button
+ */
+export const attachBlame = (parent, editorview) => {
+  const container = document.createElement("span");
+  parent.insertBefore(container, null);
+
+  const rerender = () => {
+    const { active } = blamePluginKey.getState(editorview.state);
+    render(
+      html`<button
+        type="button"
+        aria-pressed=${active ? "true" : "false"}
+        @click=${() => {
+          editorview.dispatch(
+            editorview.state.tr.setMeta(blamePluginKey, { active: !active })
+          );
+          rerender();
+        }}
+      >${active ? "Hide blame" : "Blame"}</button>`,
+      container
+    );
+  };
+  rerender();
+
+  return () => container.remove();
+};
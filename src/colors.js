@@ -0,0 +1,47 @@
+/**
+ * Generates a consistent color for a user based on their clientID
+ * @param {number} clientID - The client ID
+ * @returns {string} - A CSS color string
+ */
+export const getUserColor = (clientID) => {
+  // List of distinct colors for users
+  const userColors = [
+    "#ecd444", // yellow
+    "#ee6352", // red
+    "#6eeb83", // green
+    "#3fa7d6", // blue
+    "#c17af4", // purple
+    "#f49e4c", // orange
+    "#ab3428", // dark red
+    "#3d5a80", // navy
+    "#55a630", // lime
+    "#9e2a2b", // burgundy
+    "#7209b7", // violet
+    "#4cc9f0", // cyan
+    "#fb8500", // bright orange
+    "#2b9348", // forest green
+    "#bc6c25", // brown
+    "#8338ec", // indigo
+    "#ff006e", // pink
+    "#14213d", // dark blue
+    "#5f0f40", // maroon
+    "#0077b6"  // cerulean
+  ];
+  
+  // Use the clientID to select a consistent color
+  return userColors[clientID % userColors.length];
+};
+
+/**
+ * Generates a lighter version of a color for backgrounds
+ * @param {string} color - The base color in hex format
+ * @param {number} opacity - Opacity value between 0 and 1
+ * @returns {string} - A CSS rgba color string
+ */
+export const getLightColor = (color, opacity = 0.2) => {
+  // Convert hex to rgba
+  const r = parseInt(color.slice(1, 3), 16);
+  const g = parseInt(color.slice(3, 5), 16);
+  const b = parseInt(color.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+};
@@ -0,0 +1,434 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { Plugin, PluginKey, TextSelection } from "prosemirror-state";
+import { Decoration, DecorationSet } from "prosemirror-view";
+import {
+  absolutePositionToRelativePosition,
+  isVisible,
+  ySyncPluginKey,
+} from "y-prosemirror";
+import { html, render } from "lit-html";
+import { onMessage, sendMessage } from "./messages.js";
+
+/**
+ * @typedef {Object} CommentMessage
+ * @property {string} id
+ * @property {string} author
+ * @property {string} text
+ * @property {number} date
+ */
+
+/**
+ * A thread as stored in `doc.getMap("comments")`, see src/party/comments.ts
+ * @typedef {Object} CommentThread
+ * @property {string} id
+ * @property {Object} anchor Y.RelativePosition JSON of the start of the range
+ * @property {Object} head Y.RelativePosition JSON of the end of the range
+ * @property {string} quote The commented text when the thread was started
+ * @property {string} author
+ * @property {number} createdAt
+ * @property {boolean} resolved
+ * @property {CommentMessage[]} messages
+ */
+
+export const commentsPluginKey = new PluginKey("comments");
+
+/** Dispatched on the editor's DOM whenever the comments plugin state changes */
+const COMMENTS_CHANGE = "comments-change";
+
+/**
+ * @param {Y.Doc} doc
+ * @returns {CommentThread[]}
+ */
+export const readThreads = (doc) =>
+  Array.from(doc.getMap("comments").entries()).map(([id, thread]) => ({
+    id,
+    anchor: thread.get("anchor"),
+    head: thread.get("head"),
+    quote: thread.get("quote"),
+    author: thread.get("author"),
+    createdAt: thread.get("createdAt"),
+    resolved: thread.get("resolved"),
+    messages: thread.get("messages").toArray(),
+  }));
+
+/**
+ * Which Yjs items the editor is currently showing. Live, that's everything
+ * that isn't deleted. While a version is rendered, it's the same selection
+ * ySyncPlugin's snapshot rendering makes, so anchors line up with the old
+ * content too.
+ * @param {Y.Doc} doc
+ * @param {any} syncState ySyncPlugin's state
+ */
+const visibilityOf = (doc, syncState) => {
+  if (syncState.snapshot == null && syncState.prevSnapshot == null) {
+    const live = (item) => !item.deleted;
+    return { element: live, text: live, snapshot: null };
+  }
+  const snapshot = syncState.snapshot ?? Y.snapshot(doc);
+  const prevSnapshot = syncState.prevSnapshot ?? Y.emptySnapshot;
+  const elements = new Y.Snapshot(prevSnapshot.ds, snapshot.sv);
+  return {
+    element: (item) => isVisible(item, elements),
+    text: (item) => isVisible(item, snapshot) || isVisible(item, prevSnapshot),
+    snapshot,
+  };
+};
+
+/**
+ * Size of the ProseMirror content rendered from the visible children of
+ * `type`, up to (not including) `stop`
+ * @param {Y.AbstractType<any>} type
+ * @param {Y.Item|null} stop
+ * @param {ReturnType<typeof visibilityOf>} visibility
+ * @param {import("prosemirror-model").Schema} schema
+ * @returns {number}
+ */
+const contentSize = (type, stop, visibility, schema) => {
+  let size = 0;
+  for (let item = type._start; item !== null && item !== stop; item = item.right) {
+    if (!item.countable) continue;
+    if (type instanceof Y.XmlText) {
+      if (visibility.text(item)) size += item.length;
+    } else if (visibility.element(item)) {
+      size += nodeSize(item.content.type, visibility, schema);
+    }
+  }
+  return size;
+};
+
+/**
+ * @param {Y.XmlElement|Y.XmlText} type
+ * @param {ReturnType<typeof visibilityOf>} visibility
+ * @param {import("prosemirror-model").Schema} schema
+ * @returns {number}
+ */
+const nodeSize = (type, visibility, schema) => {
+  if (type instanceof Y.XmlText) {
+    return contentSize(type, null, visibility, schema);
+  }
+  const nodeType = schema.nodes[type.nodeName];
+  if (nodeType === undefined) return 0;
+  return nodeType.isLeaf ? 1 : 2 + contentSize(type, null, visibility, schema);
+};
+
+/**
+ * Turns a relative position into a position in the editor. This walks the
+ * Yjs structure rather than ySyncPlugin's mapping, because the mapping isn't
+ * kept while a version is rendered.
+ * @param {Y.Doc} doc
+ * @param {Y.XmlFragment} fragment
+ * @param {Object} json Y.RelativePosition JSON
+ * @param {ReturnType<typeof visibilityOf>} visibility
+ * @param {import("prosemirror-model").Schema} schema
+ * @returns {number|null} null if the position isn't part of what's shown
+ */
+const resolveAnchor = (doc, fragment, json, visibility, schema) => {
+  const rpos = Y.createRelativePositionFromJSON(json);
+  // Also guards against anchors in content we haven't received yet
+  const exists = (id) =>
+    (visibility.snapshot === null
+      ? Y.getState(doc.store, id.client)
+      : visibility.snapshot.sv.get(id.client) ?? 0) > id.clock;
+  /** @type {Y.AbstractType<any>} */
+  let type;
+  let pos;
+  if (rpos.item !== null) {
+    if (!exists(rpos.item)) return null;
+    const item = Y.getItem(doc.store, rpos.item);
+    type = item.parent;
+    pos = contentSize(type, item, visibility, schema);
+    if (type instanceof Y.XmlText) {
+      if (visibility.text(item)) {
+        pos += rpos.item.clock - item.id.clock + (rpos.assoc < 0 ? 1 : 0);
+      }
+    } else if (rpos.assoc < 0 && visibility.element(item)) {
+      pos += nodeSize(item.content.type, visibility, schema);
+    }
+  } else {
+    if (rpos.type !== null) {
+      if (!exists(rpos.type)) return null;
+      type = Y.getItem(doc.store, rpos.type).content.type;
+    } else {
+      type = fragment;
+    }
+    pos = rpos.assoc >= 0 ? contentSize(type, null, visibility, schema) : 0;
+  }
+  while (type !== fragment) {
+    const item = type._item;
+    if (item === null || !visibility.element(item)) return null;
+    if (!(type instanceof Y.XmlText)) pos += 1;
+    type = item.parent;
+    pos += contentSize(type, item, visibility, schema);
+  }
+  return pos;
+};
+
+/**
+ * @param {import("prosemirror-state").EditorState} state
+ * @param {Y.Doc} doc
+ * @param {Y.XmlFragment} fragment
+ * @param {string|null} active
+ */
+const buildDecorations = (state, doc, fragment, active) => {
+  const syncState = ySyncPluginKey.getState(state);
+  if (syncState == null) return DecorationSet.empty;
+  const visibility = visibilityOf(doc, syncState);
+  const size = state.doc.content.size;
+  const decorations = [];
+  for (const thread of readThreads(doc)) {
+    if (thread.resolved) continue;
+    let from, to;
+    try {
+      from = resolveAnchor(doc, fragment, thread.anchor, visibility, state.schema);
+      to = resolveAnchor(doc, fragment, thread.head, visibility, state.schema);
+    } catch {
+      // The server checks new threads' anchors, but older ones weren't
+      continue;
+    }
+    if (from === null || to === null || from >= to || to > size) continue;
+    decorations.push(
+      Decoration.inline(
+        from,
+        to,
+        {
+          class:
+            thread.id === active
+              ? "comment-anchor comment-anchor-active"
+              : "comment-anchor",
+          "data-thread": thread.id,
+        },
+        { thread: thread.id }
+      )
+    );
+  }
+  return DecorationSet.create(state.doc, decorations);
+};
+
+/**
+ * Highlights the ranges of unresolved comment threads. Ranges are stored as
+ * Yjs relative positions, so they follow the text through concurrent edits.
+ * @param {Y.Doc} doc
+ * @param {Y.XmlFragment} fragment
+ */
+export const commentsPlugin = (doc, fragment) =>
+  new Plugin({
+    key: commentsPluginKey,
+    state: {
+      init: () => ({ active: null, decorations: DecorationSet.empty }),
+      apply: (tr, value, _oldState, newState) => {
+        const meta = tr.getMeta(commentsPluginKey);
+        const active =
+          meta !== undefined && meta.active !== undefined
+            ? meta.active
+            : value.active;
+        // Remote changes and rendered versions come with ySyncPlugin's meta.
+        // Our own edits reach Yjs only after this, so map those instead.
+        if (meta !== undefined || tr.getMeta(ySyncPluginKey) !== undefined) {
+          return {
+            active,
+            decorations: buildDecorations(newState, doc, fragment, active),
+          };
+        }
+        return {
+          active,
+          decorations: value.decorations.map(tr.mapping, tr.doc),
+        };
+      },
+    },
+    props: {
+      decorations: (state) => commentsPluginKey.getState(state).decorations,
+      handleClick: (view, pos) => {
+        const [decoration] = commentsPluginKey
+          .getState(view.state)
+          .decorations.find(pos, pos);
+        if (decoration !== undefined) {
+          view.dispatch(
+            view.state.tr.setMeta(commentsPluginKey, {
+              active: decoration.spec.thread,
+            })
+          );
+        }
+        return false;
+      },
+    },
+    view: (view) => {
+      const threads = doc.getMap("comments");
+      const refresh = () =>
+        view.dispatch(view.state.tr.setMeta(commentsPluginKey, {}));
+      threads.observeDeep(refresh);
+      return {
+        update: (view, prevState) => {
+          if (
+            commentsPluginKey.getState(view.state) !==
+            commentsPluginKey.getState(prevState)
+          ) {
+            view.dom.dispatchEvent(new CustomEvent(COMMENTS_CHANGE));
+          }
+        },
+        destroy: () => threads.unobserveDeep(refresh),
+      };
+    },
+  });
+
+/**
+ * Starts a thread on the selected text
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ */
+const startThread = (editorview, provider) => {
+  const { state } = editorview;
+  const { from, to } = state.selection;
+  const { type, binding } = ySyncPluginKey.getState(state);
+  const text = prompt("Comment:", "");
+  if (text === null || text.trim() === "") return;
+  const relative = (pos) =>
+    Y.relativePositionToJSON(
+      absolutePositionToRelativePosition(pos, type, binding.mapping)
+    );
+  const sent = sendMessage(provider, {
+    type: "comment",
+    action: "create",
+    anchor: relative(from),
+    head: relative(to),
+    quote: state.doc.textBetween(from, to, " "),
+    text,
+  });
+  if (!sent) {
+    alert("You're offline. Reconnect to comment.");
+  }
+};
+
+/**
+ * @param {CommentThread} thread
+ * @param {boolean} active
+ * @param {boolean} canComment
+ * @param {import("y-partykit/provider").default} provider
+ * @param {() => void} onSelect
+ */
+const threadTemplate = (thread, active, canComment, provider, onSelect) => html`<div
+  class="comment-thread ${active ? "comment-thread-active" : ""}"
+  @click=${onSelect}
+>
+  <blockquote>${thread.quote}</blockquote>
+  ${thread.messages.map(
+    (message) => html`<div class="comment-message">
+      <strong>${message.author}</strong>
+      <time>${new Date(message.date).toLocaleString()}</time>
+      <p>${message.text}</p>
+    </div>`
+  )}
+  ${canComment
+    ? html`<form
+          class="comment-reply"
+          @submit=${(event) => {
+            event.preventDefault();
+            const form = event.target;
+            const text = form.elements.text.value;
+            if (text.trim() === "") return;
+            if (sendMessage(provider, { type: "comment", action: "reply", thread: thread.id, text })) {
+              form.reset();
+            }
+          }}
+        >
+          <input name="text" placeholder="Reply" />
+        </form>
+        <button
+          type="button"
+          @click=${(event) => {
+            event.stopPropagation();
+            sendMessage(provider, {
+              type: "comment",
+              action: thread.resolved ? "reopen" : "resolve",
+              thread: thread.id,
+            });
+          }}
+        >${thread.resolved ? "Reopen" : "Resolve"}</button>`
+    : null}
+</div>`;
+
+/**
+ * Shows comment threads next to the editor, in document order. The editor
+ * needs `commentsPlugin` for the highlights and positions.
+ * @param {HTMLElement} parent
+ * @param {Y.Doc} doc
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ * @returns {() => void} Removes the sidebar
+ */
+export const attachComments = (parent, doc, editorview, provider) => {
+  // Until the server tells us our role
+  let canComment = false;
+  const container = document.createElement("aside");
+  container.className = "comments";
+  parent.insertBefore(container, null);
+
+  /** @param {string} id */
+  const select = (id) => {
+    const tr = editorview.state.tr.setMeta(commentsPluginKey, { active: id });
+    const [decoration] = commentsPluginKey
+      .getState(editorview.state)
+      .decorations.find(undefined, undefined, (spec) => spec.thread === id);
+    if (decoration !== undefined) {
+      tr.setSelection(TextSelection.create(tr.doc, decoration.from));
+      tr.scrollIntoView();
+    }
+    editorview.dispatch(tr);
+  };
+
+  const rerender = () => {
+    const { active, decorations } = commentsPluginKey.getState(editorview.state);
+    const positions = new Map(
+      decorations.find().map((decoration) => [decoration.spec.thread, decoration.from])
+    );
+    const position = (thread) => positions.get(thread.id) ?? Infinity;
+    const threads = readThreads(doc).sort(
+      (a, b) => position(a) - position(b) || a.createdAt - b.createdAt
+    );
+    const open = threads.filter((thread) => !thread.resolved);
+    const resolved = threads.filter((thread) => thread.resolved);
+    const syncState = ySyncPluginKey.getState(editorview.state);
+    const viewingVersion =
+      syncState.snapshot != null || syncState.prevSnapshot != null;
+    const template = (thread) =>
+      threadTemplate(thread, thread.id === active, canComment, provider, () =>
+        select(thread.id)
+      );
+    render(
+      html`<h3>Comments</h3>
+        ${canComment
+          ? html`<button
+              type="button"
+              ?disabled=${editorview.state.selection.empty || viewingVersion}
+              @click=${() => startThread(editorview, provider)}
+            >Comment on selection</button>`
+          : null}
+        ${open.length > 0 ? open.map(template) : html`<p>No open comments.</p>`}
+        ${resolved.length > 0
+          ? html`<details>
+              <summary>Resolved (${resolved.length})</summary>
+              ${resolved.map(template)}
+            </details>`
+          : null}`,
+      container
+    );
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") {
+      canComment = message.role !== "viewer";
+      rerender();
+    } else if (message.type === "comment" && message.error !== undefined) {
+      alert(`Couldn't save your comment: ${message.error}`);
+    }
+  });
+  editorview.dom.addEventListener(COMMENTS_CHANGE, rerender);
+  rerender();
+
+  return () => {
+    stopListening();
+    editorview.dom.removeEventListener(COMMENTS_CHANGE, rerender);
+    container.remove();
+  };
+};
@@ -0,0 +1,159 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { html } from "lit-html";
+
+/** Option value standing for the live document instead of a version */
+export const LIVE = "live";
+
+/**
+ * @typedef {Object} AuthorChanges
+ * @property {string} user
+ * @property {number} inserted Number of characters (or inline nodes) added
+ * @property {number} deleted Number of characters (or inline nodes) removed
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {string|null} from Version date, or LIVE
+ * @property {string} to Version date, or LIVE
+ * @property {Array<AuthorChanges>|null} summary Result of the last comparison
+ */
+
+/**
+ * @returns {Comparison}
+ */
+export const createComparison = () => ({ from: null, to: LIVE, summary: null });
+
+/**
+ * Counts what each author added and removed between two snapshots. Uses the
+ * same attribution as ySyncPlugin, so the numbers match the `ychange`
+ * highlighting in the editor.
+ * @param {Y.XmlFragment} fragment
+ * @param {Y.Snapshot} snapshot
+ * @param {Y.Snapshot} prevSnapshot
+ * @param {Y.PermanentUserData} permanentUserData
+ * @returns {Array<AuthorChanges>}
+ */
+export const summarizeChanges = (
+  fragment,
+  snapshot,
+  prevSnapshot,
+  permanentUserData
+) => {
+  /** @type {Map<string, AuthorChanges>} */
+  const byUser = new Map();
+  const computeYChange = (type, id) => ({
+    type,
+    user:
+      type === "added"
+        ? permanentUserData.getUserByClientId(id.client)
+        : permanentUserData.getUserByDeletedId(id),
+  });
+
+  const visit = (type) => {
+    if (type instanceof Y.XmlText) {
+      type.toDelta(snapshot, prevSnapshot, computeYChange).forEach((op) => {
+        const ychange = op.attributes && op.attributes.ychange;
+        if (!ychange) return;
+        const user = ychange.user || "Unknown user";
+        if (!byUser.has(user)) {
+          byUser.set(user, { user, inserted: 0, deleted: 0 });
+        }
+        const entry = byUser.get(user);
+        const length = typeof op.insert === "string" ? op.insert.length : 1;
+        if (ychange.type === "added") {
+          entry.inserted += length;
+        } else {
+          entry.deleted += length;
+        }
+      });
+    } else {
+      Y.typeListToArraySnapshot(
+        type,
+        new Y.Snapshot(prevSnapshot.ds, snapshot.sv)
+      ).forEach(visit);
+    }
+  };
+
+  fragment.doc.transact((transaction) => {
+    // split deleted structs by who deleted them, as ySyncPlugin does
+    permanentUserData.dss.forEach((ds) => {
+      Y.iterateDeletedStructs(transaction, ds, () => {});
+    });
+    visit(fragment);
+  });
+  return [...byUser.values()].sort(
+    (a, b) => b.inserted + b.deleted - (a.inserted + a.deleted)
+  );
+};
+
+/**
+ * @param {Array<AuthorChanges>} summary
+ */
+const summaryTemplate = (summary) => html`<table class="compare-summary">
+  <tr><th>Author</th><th>Inserted</th><th>Deleted</th></tr>
+  ${summary.length > 0
+    ? summary.map(
+        ({ user, inserted, deleted }) =>
+          html`<tr><td>${user}</td><td>+${inserted}</td><td>-${deleted}</td></tr>`
+      )
+    : html`<tr><td colspan="3">No differences</td></tr>`}
+</table>`;
+
+/**
+ * Pick any two versions, or a version and the live document, to diff.
+ * @param {Array<import("./versions.js").Version>} versions
+ * @param {Comparison} comparison
+ * @param {() => void} onChange Called after comparison.from/to change
+ * @param {() => void} onCompare
+ */
+export const compareTemplate = (versions, comparison, onChange, onCompare) => {
+  const options = (selected) => html`
+    <option value=${LIVE} ?selected=${selected === LIVE}>Live document</option>
+    ${versions
+      .slice()
+      .reverse()
+      .map(
+        (version) => html`<option
+          value=${String(version.date)}
+          ?selected=${selected === String(version.date)}
+        >
+          ${new Date(version.date).toLocaleString()} (${version.username})
+        </option>`
+      )}
+  `;
+  return html`<div class="compare">
+    <label>
+      From
+      <select
+        @change=${(event) => {
+          comparison.from = event.target.value;
+          onChange();
+        }}
+      >
+        <option value="" ?selected=${comparison.from === null} disabled>
+          Pick a version
+        </option>
+        ${options(comparison.from)}
+      </select>
+    </label>
+    <label>
+      To
+      <select
+        @change=${(event) => {
+          comparison.to = event.target.value;
+          onChange();
+        }}
+      >
+        ${options(comparison.to)}
+      </select>
+    </label>
+    <button
+      type="button"
+      ?disabled=${comparison.from === null || comparison.from === comparison.to}
+      @click=${onCompare}
+    >Compare</button>
+    ${comparison.summary !== null ? summaryTemplate(comparison.summary) : null}
+  </div>`;
+};
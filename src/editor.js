@@ -0,0 +1,211 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import WebsocketProvider from "y-partykit/provider";
+import {
+  ySyncPlugin,
+  yCursorPlugin,
+  yUndoPlugin,
+  undo,
+  redo,
+} from "y-prosemirror";
+import { EditorState } from "prosemirror-state";
+import { EditorView } from "prosemirror-view";
+import { keymap } from "prosemirror-keymap";
+import { schema } from "./schema.js";
+import { attachVersion } from "./versions.js";
+import { attachRoles } from "./roles.js";
+import { attachComments, commentsPlugin } from "./comments.js";
+import { attachSuggestions, suggestionsPlugin } from "./suggestions.js";
+import { attachFiles } from "./files.js";
+import { attachOffline } from "./offline.js";
+import { attachPresence } from "./presence.js";
+import { attachBlame, blamePlugin } from "./blame.js";
+import { imagesPlugin } from "./images.js";
+import { attachFork } from "./forks.js";
+import { getLightColor, getUserColor } from "./colors.js";
+import { onMessage, sendMessage } from "./messages.js";
+import { editorSetup } from "./setup.js";
+
+/**
+ * @typedef {Object} EditorUser
+ * @property {string} token Access token, see scripts/sign-token.mjs
+ * @property {string} name Shown next to our cursor and in version history.
+ *   The server records the token's name, so use that.
+ */
+
+/**
+ * @typedef {Object} CollaborativeEditorOptions
+ * @property {string} room
+ * @property {EditorUser} user
+ * @property {HTMLElement} container The toolbar and editor are added to it
+ * @property {import("prosemirror-state").Plugin[]} [plugins] Added after the
+ *   collaboration plugins and before the default keymaps and menu, so their
+ *   key bindings take precedence
+ * @property {string} [host] PartyKit host, the page's by default
+ * @property {(room: string) => void} [openRoom] Opens another room, e.g. a
+ *   fork we just created. Sets the URL hash by default, like the lobby.
+ */
+
+/**
+ * @typedef {Object} CollaborativeEditor
+ * @property {EditorView} view
+ * @property {Y.Doc} doc
+ * @property {WebsocketProvider} provider
+ * @property {() => void} destroy Leaves the room and removes the editor
+ */
+
+/**
+ * Connects/disconnects the provider, for trying out offline editing
+ * @param {HTMLElement} parent
+ * @param {WebsocketProvider} provider
+ * @returns {() => void} Removes the button
+ */
+const attachConnectButton = (parent, provider) => {
+  const button = document.createElement("button");
+  button.setAttribute("type", "button");
+  button.textContent = "Disconnect";
+  button.addEventListener("click", () => {
+    if (provider.shouldConnect) {
+      // So the version history shows where offline editing started
+      sendMessage(provider, { type: "snapshot", quiet: true });
+      provider.disconnect();
+      button.textContent = "Connect";
+    } else {
+      provider.connect();
+      button.textContent = "Disconnect";
+    }
+  });
+  parent.insertBefore(button, null);
+  return () => button.remove();
+};
+
+/**
+ * Shows why the server refused or changed something we sent, e.g. content
+ * the schema doesn't allow or more changes than the room's limits
+ * @param {WebsocketProvider} provider
+ * @returns {() => void} Stops listening
+ */
+const reportServerErrors = (provider) =>
+  onMessage(provider, (message) => {
+    if (message.type === "error") {
+      alert(message.message);
+    }
+  });
+
+/**
+ * Mounts an editor for `room` in `container`, with its own document,
+ * connection, toolbar and comments. Several can share a page.
+ * @param {CollaborativeEditorOptions} options
+ * @returns {CollaborativeEditor}
+ */
+export const createCollaborativeEditor = ({
+  room,
+  user,
+  container,
+  plugins = [],
+  host = window.location.host,
+  openRoom = (other) => {
+    window.location.hash = encodeURIComponent(other);
+  },
+}) => {
+  const ydoc = new Y.Doc();
+  // Generate a consistent color based on the client ID
+  const color = getUserColor(ydoc.clientID);
+  const lightColor = getLightColor(color);
+
+  // Filled in by the server, under each connection's verified user
+  const permanentUserData = new Y.PermanentUserData(ydoc);
+  ydoc.gc = false;
+  // attachOffline connects once the local copy has loaded
+  const provider = new WebsocketProvider(host, room, ydoc, {
+    params: { token: user.token },
+    connect: false,
+  });
+  provider.awareness.setLocalStateField("user", {
+    name: user.name,
+    color,
+    colorLight: lightColor,
+  });
+
+  const yXmlFragment = ydoc.get("prosemirror", Y.XmlFragment);
+
+  const root = document.createElement("div");
+  root.className = "collab-editor";
+  const toolbar = document.createElement("div");
+  toolbar.className = "collab-toolbar";
+  const versionContainer = document.createElement("div");
+  versionContainer.className = "collab-version";
+  toolbar.insertBefore(versionContainer, null);
+  const editorContainer = document.createElement("div");
+  editorContainer.className = "collab-body";
+  const editor = document.createElement("div");
+  editor.className = "editor";
+  editorContainer.insertBefore(editor, null);
+  root.insertBefore(toolbar, null);
+  root.insertBefore(editorContainer, null);
+  container.insertBefore(root, null);
+
+  // Not editable until the server, or the local copy of the room, tells us
+  // we're an editor
+  /** @type {import("./roles.js").Role|null} */
+  let role = null;
+  const view = new EditorView(editor, {
+    editable: () => role === "editor",
+    state: EditorState.create({
+      schema,
+      plugins: [
+        ySyncPlugin(yXmlFragment, { permanentUserData }),
+        yCursorPlugin(provider.awareness),
+        yUndoPlugin(),
+        commentsPlugin(ydoc, yXmlFragment),
+        blamePlugin(ydoc, permanentUserData),
+        suggestionsPlugin({
+          name: user.name,
+          color: { light: lightColor, dark: color },
+        }),
+        imagesPlugin(provider, user),
+        ...plugins,
+        keymap({
+          "Mod-z": undo,
+          "Mod-y": redo,
+          "Mod-Shift-z": redo,
+        }),
+      ].concat(editorSetup(schema)),
+    }),
+  });
+
+  /** @param {import("./roles.js").Role} newRole */
+  const setRole = (newRole) => {
+    role = newRole;
+    // re-evaluates the editable prop
+    view.updateState(view.state);
+  };
+
+  const detachers = [
+    attachVersion(versionContainer, ydoc, view, permanentUserData, provider, openRoom),
+    attachFork(toolbar, ydoc, provider, openRoom),
+    attachConnectButton(toolbar, provider),
+    attachComments(editorContainer, ydoc, view, provider),
+    attachSuggestions(toolbar, view, provider),
+    attachFiles(toolbar, ydoc, view, provider, room),
+    attachBlame(toolbar, view),
+    attachOffline(toolbar, room, ydoc, provider, user.name, setRole),
+    attachPresence(toolbar, view, provider),
+    reportServerErrors(provider),
+    attachRoles(toolbar, provider, setRole),
+  ];
+
+  return {
+    view,
+    doc: ydoc,
+    provider,
+    destroy: () => {
+      detachers.forEach((detach) => detach());
+      view.destroy();
+      root.remove();
+      provider.destroy();
+      ydoc.destroy();
+    },
+  };
+};
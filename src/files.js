@@ -0,0 +1,127 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { yXmlFragmentToProseMirrorRootNode, ySyncPluginKey } from "y-prosemirror";
+import { html, render } from "lit-html";
+import { schema } from "./schema.js";
+import { fromMarkdown, toMarkdown } from "./markdown.js";
+import { onMessage, sendMessage } from "./messages.js";
+
+/**
+ * The document captured by a version, or the live one. Read from Yjs rather
+ * than the editor, which may be showing a version with change marks.
+ * @param {Y.Doc} doc
+ * @param {Uint8Array} [snapshot]
+ */
+const documentAt = (doc, snapshot) => {
+  if (snapshot === undefined) {
+    return yXmlFragmentToProseMirrorRootNode(doc.getXmlFragment("prosemirror"), schema);
+  }
+  const versionDoc = Y.createDocFromSnapshot(doc, Y.decodeSnapshot(snapshot));
+  const node = yXmlFragmentToProseMirrorRootNode(
+    versionDoc.getXmlFragment("prosemirror"),
+    schema
+  );
+  versionDoc.destroy();
+  return node;
+};
+
+/**
+ * Saves the live document, or a version, as a Markdown file
+ * @param {Y.Doc} doc
+ * @param {string} filename
+ * @param {Uint8Array} [snapshot]
+ */
+export const downloadMarkdown = (doc, filename, snapshot) => {
+  const blob = new Blob([toMarkdown(documentAt(doc, snapshot))], {
+    type: "text/markdown",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+/**
+ * Replaces the document with a Markdown file's content, or appends it. Like
+ * restoring a version, it's one undoable change attributed to us.
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ * @param {string} markdown
+ * @param {boolean} append
+ */
+const importMarkdown = (editorview, provider, markdown, append) => {
+  const imported = fromMarkdown(markdown);
+  // Back to the live document if we're looking at a version
+  ySyncPluginKey.getState(editorview.state).binding?.unrenderSnapshot();
+  // Keep unsaved edits in the history before they're overwritten
+  sendMessage(provider, { type: "snapshot", quiet: true });
+  const { state } = editorview;
+  const end = state.doc.content.size;
+  editorview.dispatch(
+    append
+      ? state.tr.insert(end, imported.content)
+      : state.tr.replaceWith(0, end, imported.content)
+  );
+  sendMessage(provider, { type: "snapshot", quiet: true });
+};
+
+/**
+ * Markdown export for everyone, and import for editors
+ * @param {HTMLElement} parent
+ * @param {Y.Doc} doc
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ * @param {string} room Used to name exported files
+ * @returns {() => void} Removes the buttons
+ */
+export const attachFiles = (parent, doc, editorview, provider, room) => {
+  // Until the server tells us our role
+  let canEdit = false;
+  const container = document.createElement("div");
+  container.className = "files";
+  parent.insertBefore(container, null);
+
+  /** @param {Event} event */
+  const onFile = async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    input.value = "";
+    if (file === undefined) return;
+    const markdown = await file.text();
+    const append = !confirm(
+      `Replace the document with ${file.name}? Cancel to append it instead.`
+    );
+    importMarkdown(editorview, provider, markdown, append);
+  };
+
+  const rerender = () => {
+    render(
+      html`<button
+          type="button"
+          @click=${() => downloadMarkdown(doc, `${room}.md`)}
+        >Export Markdown</button>
+        ${canEdit
+          ? html`<label class="files-import">
+              Import Markdown
+              <input type="file" accept=".md,.markdown,text/markdown,text/plain" @change=${onFile} />
+            </label>`
+          : null}`,
+      container
+    );
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") {
+      canEdit = message.role === "editor";
+      rerender();
+    }
+  });
+  rerender();
+
+  return () => {
+    stopListening();
+    container.remove();
+  };
+};
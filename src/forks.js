@@ -0,0 +1,99 @@
+/* eslint-env browser */
+
+import { html, render } from "lit-html";
+import { onMessage, sendMessage } from "./messages.js";
+
+/**
+ * Where a room was forked from, see ForkSource in src/party/forks.ts
+ * @typedef {Object} ForkSource
+ * @property {string} room
+ * @property {number} version `date` of the version it was forked from
+ * @property {number} forkedAt
+ * @property {string} forkedBy
+ */
+
+/**
+ * @param {ForkSource} source
+ * @param {boolean} canEdit
+ * @param {(room: string) => void} openRoom
+ * @param {() => void} onMerge
+ */
+const forkTemplate = (source, canEdit, openRoom, onMerge) => html`<span class="fork-source">
+  Forked from
+  <a
+    href="#${encodeURIComponent(source.room)}"
+    @click=${(event) => {
+      event.preventDefault();
+      openRoom(source.room);
+    }}
+  >${source.room}</a>
+  (${new Date(source.version).toLocaleString()}) by ${source.forkedBy}
+  ${canEdit
+    ? html`<button
+        type="button"
+        @click=${onMerge}
+      >Merge back</button>`
+    : null}
+</span>`;
+
+/**
+ * Shows which room and version a fork came from, with a link back. Editors
+ * can merge the fork's changes into that room, where they show up as
+ * suggestions to accept or reject.
+ * @param {HTMLElement} parent
+ * @param {import("yjs").Doc} doc
+ * @param {import("y-partykit/provider").default} provider
+ * @param {(room: string) => void} openRoom
+ * @returns {() => void} Removes the banner
+ */
+export const attachFork = (parent, doc, provider, openRoom) => {
+  // Until the server tells us our role
+  let canEdit = false;
+  const fork = doc.getMap("fork");
+  const container = document.createElement("div");
+  container.className = "fork";
+  parent.insertBefore(container, null);
+
+  /** @param {ForkSource} source */
+  const merge = (source) => {
+    if (!confirm(`Add this fork's changes to ${source.room} as suggestions?`)) {
+      return;
+    }
+    if (!sendMessage(provider, { type: "merge-fork" })) {
+      alert("You're offline. Reconnect to merge.");
+    }
+  };
+
+  const rerender = () => {
+    const source = /** @type {ForkSource|undefined} */ (fork.get("source"));
+    render(
+      source === undefined
+        ? null
+        : forkTemplate(source, canEdit, openRoom, () => merge(source)),
+      container
+    );
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") {
+      canEdit = message.role === "editor";
+      rerender();
+    } else if (message.type === "merge-fork") {
+      alert(
+        message.error !== undefined
+          ? message.error
+          : message.suggestions === 0
+            ? "Nothing to merge, the fork has no new changes."
+            : `Merged ${message.suggestions} changes as suggestions.`
+      );
+    }
+  });
+  fork.observe(rerender);
+  rerender();
+
+  return () => {
+    stopListening();
+    fork.unobserve(rerender);
+    container.remove();
+  };
+};
@@ -0,0 +1,170 @@
+import * as Y from "yjs";
+import WebsocketProvider from "y-partykit/provider";
+import {
+  absolutePositionToRelativePosition,
+  initProseMirrorDoc,
+  prosemirrorToYXmlFragment,
+} from "y-prosemirror";
+import { EditorState } from "prosemirror-state";
+import { schema } from "./schema.js";
+import { onMessage, sendMessage } from "./messages.js";
+
+/*
+ * A room client without an editor, for bots, scripts and tests. It runs in
+ * Node as well as the browser:
+ *
+ *   import WebSocket from "ws";
+ *   const client = await joinRoom({ host: "localhost:1999", room, token, WebSocket });
+ *   client.edit((tr) => tr.insertText("Hello from a bot", 1));
+ *   await client.snapshot();
+ *   client.destroy();
+ */
+
+/**
+ * @typedef {Object} HeadlessOptions
+ * @property {string} host e.g. "localhost:1999"
+ * @property {string} room
+ * @property {string} token Access token, see scripts/sign-token.mjs
+ * @property {string} [color] Our cursor color for everyone else
+ * @property {any} [WebSocket] WebSocket implementation, e.g. the `ws`
+ *   package on Node versions without a global one
+ */
+
+/**
+ * @typedef {Object} HeadlessClient
+ * @property {Y.Doc} doc
+ * @property {WebsocketProvider} provider
+ * @property {import("./auth.js").Identity} user As verified by the server
+ * @property {import("./roles.js").Role} role Only editors can change the
+ *   document or take versions
+ * @property {() => import("prosemirror-model").Node} getDoc The live document
+ * @property {() => Object} toJSON The live document as ProseMirror JSON
+ * @property {() => string} toText The live document as plain text
+ * @property {(update: (tr: import("prosemirror-state").Transaction) => void) => boolean} edit
+ *   Applies a transaction to the live document
+ * @property {(anchor: number, head?: number) => void} setCursor Shows our
+ *   cursor to everyone else
+ * @property {() => Promise<boolean>} snapshot Asks the server for a version.
+ *   Rejects past the room's MAX_VERSIONS_PER_MINUTE.
+ * @property {() => void} destroy Leaves the room
+ */
+
+// How long to wait for the server's answer to a request
+const REPLY_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Resolves with the first JSON message from the server that `accept`s
+ * @param {WebsocketProvider} provider
+ * @param {(message: any) => boolean} accept
+ * @returns {Promise<any>}
+ */
+const nextMessage = (provider, accept) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stopListening();
+      reject(new Error("The server didn't answer"));
+    }, REPLY_TIMEOUT_MS);
+    const stopListening = onMessage(provider, (message) => {
+      if (!accept(message)) return;
+      clearTimeout(timer);
+      stopListening();
+      resolve(message);
+    });
+  });
+
+/**
+ * Joins a room and resolves once the document has synced and the server has
+ * told us who we are
+ * @param {HeadlessOptions} options
+ * @returns {Promise<HeadlessClient>}
+ */
+export const joinRoom = async ({ host, room, token, color = "#3d5a80", WebSocket }) => {
+  const doc = new Y.Doc();
+  doc.gc = false;
+  const provider = new WebsocketProvider(host, room, doc, {
+    params: { token },
+    connect: false,
+    ...(WebSocket === undefined ? {} : { WebSocketPolyfill: WebSocket }),
+  });
+  const fragment = doc.getXmlFragment("prosemirror");
+
+  const identity = nextMessage(provider, (message) => message.type === "identity");
+  const role = nextMessage(provider, (message) => message.type === "role");
+  const synced = new Promise((resolve) => provider.once("synced", resolve));
+  provider.connect();
+  let client;
+  try {
+    const [{ user }, { role: initialRole }] = await Promise.all([identity, role, synced]);
+    client = { user, role: initialRole };
+  } catch (err) {
+    provider.destroy();
+    doc.destroy();
+    throw err;
+  }
+
+  provider.awareness.setLocalStateField("user", {
+    name: client.user.name,
+    color,
+    colorLight: `${color}33`,
+  });
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") client.role = message.role;
+  });
+
+  const getDoc = () => {
+    const { doc: node } = initProseMirrorDoc(fragment, schema);
+    // A new room has no content yet, where the editor would show an empty
+    // paragraph
+    return schema.topNodeType.createAndFill(null, node.content) ?? node;
+  };
+
+  return Object.assign(client, {
+    doc,
+    provider,
+    getDoc,
+    toJSON: () => getDoc().toJSON(),
+    toText: () => {
+      const node = getDoc();
+      return node.textBetween(0, node.content.size, "\n\n", (leaf) =>
+        leaf.type.name === "hard_break" ? "\n" : ""
+      );
+    },
+    edit: (update) => {
+      const tr = EditorState.create({ schema, doc: getDoc() }).tr;
+      update(tr);
+      if (!tr.docChanged) return false;
+      prosemirrorToYXmlFragment(tr.doc, fragment);
+      return true;
+    },
+    setCursor: (anchor, head = anchor) => {
+      const { mapping } = initProseMirrorDoc(fragment, schema);
+      provider.awareness.setLocalStateField("cursor", {
+        anchor: absolutePositionToRelativePosition(anchor, fragment, mapping),
+        head: absolutePositionToRelativePosition(head, fragment, mapping),
+      });
+    },
+    snapshot: async () => {
+      if (client.role !== "editor") {
+        throw new Error("Only editors can take versions");
+      }
+      if (!sendMessage(provider, { type: "snapshot" })) {
+        throw new Error("Not connected");
+      }
+      const reply = await nextMessage(
+        provider,
+        (message) =>
+          message.type === "snapshot" ||
+          (message.type === "error" && message.code === "too-many-versions")
+      );
+      if (reply.type === "error") {
+        throw new Error(reply.message);
+      }
+      return reply.added;
+    },
+    destroy: () => {
+      stopListening();
+      provider.destroy();
+      doc.destroy();
+    },
+  });
+};
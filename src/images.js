@@ -0,0 +1,127 @@
+/* eslint-env browser */
+
+import { Plugin } from "prosemirror-state";
+import * as random from "lib0/random.js";
+
+// What EditorServer accepts, see src/party/images.ts
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+/**
+ * The room's image upload endpoint, from the provider's websocket URL
+ * @param {import("y-partykit/provider").default} provider
+ */
+const uploadUrl = (provider) => {
+  const url = new URL(provider.url);
+  url.protocol = url.protocol === "wss:" ? "https:" : "http:";
+  url.pathname += "/images";
+  url.search = "";
+  return url;
+};
+
+/**
+ * @param {import("prosemirror-model").Node} doc
+ * @param {string} id
+ * @returns {number|null} Where the upload's placeholder is, if it's still there
+ */
+const findPlaceholder = (doc, id) => {
+  /** @type {number|null} */
+  let found = null;
+  doc.descendants((node, pos) => {
+    if (found !== null) return false;
+    if (node.type.name === "image_upload" && node.attrs.id === id) {
+      found = pos;
+    }
+    return true;
+  });
+  return found;
+};
+
+/**
+ * Uploads `file` and swaps the placeholder `id` for the image. If the upload
+ * fails the placeholder is removed.
+ * @param {import("prosemirror-view").EditorView} view
+ * @param {import("y-partykit/provider").default} provider
+ * @param {string} token
+ * @param {string} id
+ * @param {File} file
+ */
+const upload = async (view, provider, token, id, file) => {
+  /** @type {string|null} */
+  let src = null;
+  try {
+    const res = await fetch(uploadUrl(provider), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": file.type },
+      body: file,
+    });
+    if (res.ok) {
+      ({ src } = await res.json());
+    } else {
+      alert(`Couldn't upload ${file.name}: ${await res.text()}`);
+    }
+  } catch {
+    alert(`Couldn't upload ${file.name}. Are you online?`);
+  }
+  // The view is gone if the editor was destroyed in the meantime
+  if (view.isDestroyed) return;
+  const pos = findPlaceholder(view.state.doc, id);
+  // Someone deleted the placeholder, so they don't want the image
+  if (pos === null) return;
+  const { schema, tr } = view.state;
+  view.dispatch(
+    src === null
+      ? tr.delete(pos, pos + 1)
+      : tr.replaceWith(pos, pos + 1, schema.nodes.image.create({ src, alt: file.name }))
+  );
+};
+
+/**
+ * Uploads images that are pasted or dropped into the editor to the room's
+ * server. Everyone sees a placeholder where each image goes until it's
+ * uploaded.
+ * @param {import("y-partykit/provider").default} provider
+ * @param {import("./editor.js").EditorUser} user
+ */
+export const imagesPlugin = (provider, user) => {
+  /**
+   * @param {import("prosemirror-view").EditorView} view
+   * @param {DataTransfer|null} data
+   * @param {number|null} pos Where to insert, or the selection
+   * @returns {boolean} Whether there were images to upload
+   */
+  const insertImages = (view, data, pos) => {
+    const files = Array.from(data?.files ?? []).filter((file) =>
+      IMAGE_TYPES.includes(file.type)
+    );
+    if (files.length === 0) return false;
+    const { schema } = view.state;
+    const uploads = files.map((file) => ({ id: random.uuidv4(), file }));
+    const placeholders = uploads.map(({ id }) =>
+      schema.nodes.image_upload.create({ id, name: user.name })
+    );
+    const tr = view.state.tr;
+    if (pos === null) {
+      tr.replaceSelectionWith(placeholders[0]);
+      tr.insert(tr.selection.from, placeholders.slice(1));
+    } else {
+      tr.insert(pos, placeholders);
+    }
+    view.dispatch(tr);
+    uploads.forEach(({ id, file }) => upload(view, provider, user.token, id, file));
+    return true;
+  };
+
+  return new Plugin({
+    props: {
+      handlePaste: (view, event) => insertImages(view, event.clipboardData, null),
+      handleDrop: (view, event) => {
+        const target = view.posAtCoords({ left: event.clientX, top: event.clientY });
+        if (!insertImages(view, event.dataTransfer, target?.pos ?? null)) {
+          return false;
+        }
+        event.preventDefault();
+        return true;
+      },
+    },
+  });
+};
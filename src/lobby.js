@@ -0,0 +1,91 @@
+/* eslint-env browser */
+
+import PartySocket from "partysocket";
+import { html, render } from "lit-html";
+
+// Must match SINGLETON_ROOM_ID in src/party/rooms.ts
+const LOBBY_ROOM_ID = "index";
+
+/**
+ * @typedef {Object.<string, number>} Rooms
+ */
+
+/**
+ * Where each fork came from, see Forks in src/party/rooms.ts
+ * @typedef {Object.<string, { room: string, version: number }>} Forks
+ */
+
+/**
+ * Active rooms first (busiest on top), then idle rooms alphabetically
+ * @param {Rooms} rooms
+ * @returns {Array<[string, number]>}
+ */
+const sortRooms = (rooms) =>
+  Object.entries(rooms).sort(([roomA, countA], [roomB, countB]) =>
+    countB - countA || roomA.localeCompare(roomB)
+  );
+
+/**
+ * @param {string} room
+ * @param {number} count
+ * @param {Forks[string]|undefined} forkedFrom
+ */
+const roomTemplate = (room, count, forkedFrom) => html`<li
+  class="lobby-room ${count > 0 ? "" : "lobby-room-idle"}"
+>
+  <a href="#${encodeURIComponent(room)}">${room}</a>
+  <span class="lobby-count">
+    ${count > 0 ? `${count} editing` : "idle"}
+  </span>
+  ${forkedFrom !== undefined
+    ? html`<div class="lobby-fork">
+        Forked from
+        <a href="#${encodeURIComponent(forkedFrom.room)}">${forkedFrom.room}</a>
+        (${new Date(forkedFrom.version).toLocaleString()})
+      </div>`
+    : null}
+</li>`;
+
+/**
+ * @param {Rooms} rooms
+ * @param {Forks} forks
+ */
+const lobbyTemplate = (rooms, forks) => {
+  const entries = sortRooms(rooms);
+  return html`<div class="lobby">
+    <h1>Documents</h1>
+    ${entries.length > 0
+      ? html`<ul>
+          ${entries.map(([room, count]) => roomTemplate(room, count, forks[room]))}
+        </ul>`
+      : html`<div>No documents yet. Start one with "New document".</div>`}
+  </div>`;
+};
+
+/**
+ * Renders a live list of documents from the `rooms` party into parent.
+ * @param {HTMLElement} parent
+ * @returns {() => void} Closes the connection and removes the lobby
+ */
+export const attachLobby = (parent) => {
+  const container = document.createElement("div");
+  parent.insertBefore(container, null);
+  render(lobbyTemplate({}, {}), container);
+
+  const socket = new PartySocket({
+    host: window.location.host,
+    party: "rooms",
+    room: LOBBY_ROOM_ID,
+  });
+  socket.addEventListener("message", (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === "rooms") {
+      render(lobbyTemplate(message.rooms, message.forks ?? {}), container);
+    }
+  });
+
+  return () => {
+    socket.close();
+    container.remove();
+  };
+};
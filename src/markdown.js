@@ -0,0 +1,191 @@
+import MarkdownIt from "markdown-it";
+import {
+  MarkdownParser,
+  MarkdownSerializer,
+  defaultMarkdownParser,
+  defaultMarkdownSerializer,
+} from "prosemirror-markdown";
+import { schema, withoutSuggestions } from "./schema.js";
+
+/*
+ * Markdown import and export for `schema`, shared by the client and
+ * EditorServer. Lists, headings, code and so on are CommonMark; task lists
+ * (`- [x] done`) and tables are the GitHub flavoured extensions.
+ */
+
+const TASK_PREFIX = /^\[([ xX])\](?:\s+|$)/;
+
+// Separates the blocks of a table cell, see cellMarkdown. Escaped ones are
+// text.
+const CELL_BREAK = /(?<!\\)<br\s*\/?>/i;
+
+/**
+ * markdown-it plugin that turns bullet lists whose items all start with
+ * `[ ]` or `[x]` into task lists, and splits table cell text into paragraphs
+ * at `<br>` since our cells hold blocks
+ * @param {MarkdownIt} md
+ */
+const gfmBlocks = (md) => {
+  // Before inline parsing, so each paragraph's text is parsed on its own
+  md.core.ruler.before("inline", "prosemirror_table_cells", (state) => {
+    const tokens = state.tokens;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const token = tokens[i];
+      const inline = tokens[i + 1];
+      if ((token.type === "th_open" || token.type === "td_open") && inline?.type === "inline") {
+        const blocks = inline.content.split(CELL_BREAK).flatMap((content) => {
+          const open = new state.Token("paragraph_open", "p", 1);
+          const text = new state.Token("inline", "", 0);
+          const close = new state.Token("paragraph_close", "p", -1);
+          text.content = content.trim();
+          text.map = inline.map;
+          text.children = [];
+          return [open, text, close];
+        });
+        tokens.splice(i + 1, 1, ...blocks);
+      }
+    }
+  });
+  md.core.ruler.push("prosemirror_task_lists", (state) => {
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].type === "bullet_list_open") {
+        convertTaskList(tokens, i);
+      }
+    }
+  });
+};
+
+/**
+ * @param {any[]} tokens markdown-it tokens
+ * @param {number} start index of a `bullet_list_open`
+ */
+const convertTaskList = (tokens, start) => {
+  const level = tokens[start].level;
+  /** @type {{ item: any, inline: any, checked: boolean }[]} */
+  const items = [];
+  let end = start + 1;
+  for (; end < tokens.length; end++) {
+    const token = tokens[end];
+    if (token.type === "bullet_list_close" && token.level === level) break;
+    if (token.type === "list_item_open" && token.level === level + 1) {
+      // list_item_open, paragraph_open, inline
+      const inline = tokens[end + 2];
+      const match = inline?.type === "inline" ? TASK_PREFIX.exec(inline.content) : null;
+      if (match === null) return;
+      items.push({ item: token, inline, checked: match[1] !== " " });
+    }
+  }
+  if (items.length === 0) return;
+  tokens[start].type = "task_list_open";
+  tokens[end].type = "task_list_close";
+  for (let i = start + 1; i < end; i++) {
+    const token = tokens[i];
+    if (token.level !== level + 1) continue;
+    if (token.type === "list_item_open") token.type = "task_item_open";
+    if (token.type === "list_item_close") token.type = "task_item_close";
+  }
+  for (const { item, inline, checked } of items) {
+    item.attrSet("checked", String(checked));
+    const prefix = TASK_PREFIX.exec(inline.content)[0];
+    inline.content = inline.content.slice(prefix.length);
+    const first = inline.children[0];
+    if (first?.type === "text") first.content = first.content.slice(prefix.length);
+  }
+};
+
+export const markdownParser = new MarkdownParser(
+  schema,
+  MarkdownIt("default", { html: false }).disable("strikethrough").use(gfmBlocks),
+  {
+    ...defaultMarkdownParser.tokens,
+    task_list: { block: "task_list" },
+    task_item: {
+      block: "task_item",
+      getAttrs: (token) => ({ checked: token.attrGet("checked") === "true" }),
+    },
+    table: { block: "table" },
+    thead: { ignore: true },
+    tbody: { ignore: true },
+    tr: { block: "table_row" },
+    th: { block: "table_header" },
+    td: { block: "table_cell" },
+  }
+);
+
+/**
+ * GFM table cells are a single line, so the blocks inside a cell are joined
+ * with `<br>`, which markdownParser splits them at again. Line breaks within
+ * a block come back as separate blocks too.
+ * @param {import("prosemirror-model").Node} cell
+ */
+const cellMarkdown = (cell) => {
+  /** @type {string[]} */
+  const blocks = [];
+  cell.forEach((block, offset) => {
+    blocks.push(
+      cellSerializer
+        .serialize(cell.cut(offset, offset + block.nodeSize))
+        .trim()
+        .replace(/\\\n/g, "<br>")
+        .replace(/\n+/g, " ")
+        .replace(/\|/g, "\\|")
+    );
+  });
+  return blocks.join("<br>");
+};
+
+const nodeSerializers = {
+  ...defaultMarkdownSerializer.nodes,
+  task_list: (state, node) => {
+    state.renderList(node, "  ", () => "- ");
+  },
+  task_item: (state, node) => {
+    const box = node.attrs.checked ? "[x]" : "[ ]";
+    state.write(node.firstChild?.content.size ? `${box} ` : box);
+    state.renderContent(node);
+  },
+  // Unfinished uploads have nothing to show yet
+  image_upload: () => {},
+  // GFM tables always have a header row, so the first row becomes one
+  table: (state, node) => {
+    node.forEach((row, _, i) => {
+      const cells = [];
+      row.forEach((cell) => cells.push(cellMarkdown(cell)));
+      state.write(`| ${cells.join(" | ")} |`);
+      state.ensureNewLine();
+      if (i === 0) {
+        state.write(`|${cells.map(() => " --- ").join("|")}|`);
+        state.ensureNewLine();
+      }
+    });
+    state.closeBlock(node);
+  },
+};
+
+const markSerializers = {
+  ...defaultMarkdownSerializer.marks,
+  // Change tracking isn't part of the text
+  ychange: { open: "", close: "", mixable: true },
+  // toMarkdown leaves pending suggestions out first, see withoutSuggestions
+  suggestion: { open: "", close: "", mixable: true },
+};
+
+export const markdownSerializer = new MarkdownSerializer(nodeSerializers, markSerializers);
+
+// Escapes `<` too, so text that looks like a `<br>` stays in its block
+const cellSerializer = new MarkdownSerializer(nodeSerializers, markSerializers, {
+  escapeExtraCharacters: /</g,
+});
+
+/**
+ * @param {import("prosemirror-model").Node} doc
+ * @returns {string}
+ */
+export const toMarkdown = (doc) => markdownSerializer.serialize(withoutSuggestions(doc));
+
+/**
+ * @param {string} markdown
+ * @returns {import("prosemirror-model").Node}
+ */
+export const fromMarkdown = (markdown) => markdownParser.parse(markdown);
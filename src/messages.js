@@ -0,0 +1,50 @@
+/* eslint-env browser */
+
+/**
+ * JSON control messages share the provider's websocket with the binary Yjs
+ * protocol. y-partykit ignores string frames on both ends, and
+ * EditorServer#onMessage handles them on the server.
+ */
+
+/**
+ * @param {import("y-partykit/provider").default} provider
+ * @param {Object} message
+ * @returns {boolean} Whether the message was sent
+ */
+export const sendMessage = (provider, message) => {
+  const ws = provider.ws;
+  if (ws === null || ws.readyState !== ws.OPEN) {
+    return false;
+  }
+  ws.send(JSON.stringify(message));
+  return true;
+};
+
+/**
+ * Calls handler with every JSON message from the server. The provider opens a
+ * new websocket on each reconnect, so we follow its status events.
+ * @param {import("y-partykit/provider").default} provider
+ * @param {(message: any) => void} handler
+ * @returns {() => void} Stops listening
+ */
+export const onMessage = (provider, handler) => {
+  /** @type {WebSocket|null} */
+  let ws = null;
+  const listener = (event) => {
+    if (typeof event.data === "string") {
+      handler(JSON.parse(event.data));
+    }
+  };
+  const follow = () => {
+    if (provider.ws === ws) return;
+    ws?.removeEventListener("message", listener);
+    ws = provider.ws;
+    ws?.addEventListener("message", listener);
+  };
+  provider.on("status", follow);
+  follow();
+  return () => {
+    provider.off("status", follow);
+    ws?.removeEventListener("message", listener);
+  };
+};
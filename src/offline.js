@@ -0,0 +1,158 @@
+/* eslint-env browser */
+
+import { IndexeddbPersistence } from "y-indexeddb";
+import { html, render } from "lit-html";
+import { onMessage, sendMessage } from "./messages.js";
+
+/**
+ * @typedef {Object} PendingChanges
+ * @property {number} count Local changes the server hasn't seen yet
+ * @property {number} since When the first of them was made
+ * @property {number} until When the last of them was made
+ */
+
+// Stored next to the document in its IndexedDB database
+const PENDING_KEY = "pending";
+// The role the server last gave us, as `{ user, role }`
+const ROLE_KEY = "role";
+
+/**
+ * @param {"loading"|"connected"|"syncing"|"offline"} status
+ * @param {PendingChanges|null} pending
+ */
+const statusTemplate = (status, pending) => {
+  if (status === "loading") {
+    return html`<span class="sync-status sync-status-syncing">Loading…</span>`;
+  }
+  if (status === "connected") {
+    return html`<span class="sync-status sync-status-connected">Connected</span>`;
+  }
+  if (status === "syncing") {
+    return html`<span class="sync-status sync-status-syncing">Syncing…</span>`;
+  }
+  return html`<span
+    class="sync-status sync-status-offline"
+    title=${pending === null
+      ? "Changes you make are saved in this browser"
+      : `Since ${new Date(pending.since).toLocaleString()}`}
+  >Offline${pending === null
+    ? null
+    : ` · ${pending.count} pending ${pending.count === 1 ? "change" : "changes"}`}</span>`;
+};
+
+/**
+ * Keeps a copy of the room's document in IndexedDB, so edits made while
+ * offline survive a reload, and connects the provider once it has loaded so
+ * the server gets them. Shows whether we're connected, syncing, or offline
+ * with changes the server hasn't seen, and once those have synced asks the
+ * server for a version marked as containing offline edits.
+ *
+ * Also remembers the role the server last gave `userName` in the room, so
+ * after a reload they can keep editing before it answers, or while offline.
+ * @param {HTMLElement} parent
+ * @param {string} room
+ * @param {import("yjs").Doc} doc
+ * @param {import("y-partykit/provider").default} provider Created with
+ *   `connect: false`
+ * @param {string} userName
+ * @param {(role: import("./roles.js").Role) => void} onRole Called with the
+ *   remembered role once the local copy has loaded, before connecting
+ * @returns {() => void} Removes the indicator and closes the local copy
+ */
+export const attachOffline = (parent, room, doc, provider, userName, onRole) => {
+  const persistence = new IndexeddbPersistence(`room:${room}`, doc);
+  let loaded = false;
+  let destroyed = false;
+  /** @type {PendingChanges|null} */
+  let pending = null;
+  const container = document.createElement("span");
+  parent.insertBefore(container, null);
+
+  const rerender = () => {
+    let status = "offline";
+    if (!loaded) {
+      status = "loading";
+    } else if (provider.synced) {
+      status = "connected";
+    } else if (provider.wsconnected) {
+      status = "syncing";
+    }
+    render(statusTemplate(status, pending), container);
+  };
+
+  const savePending = () => {
+    if (destroyed) return;
+    if (pending === null) {
+      persistence.del(PENDING_KEY);
+    } else {
+      persistence.set(PENDING_KEY, pending);
+    }
+  };
+
+  /**
+   * @param {Uint8Array} _update
+   * @param {any} _origin
+   * @param {import("yjs").Doc} _doc
+   * @param {import("yjs").Transaction} tr
+   */
+  const onUpdate = (_update, _origin, _doc, tr) => {
+    // Remote updates, including the ones loaded from IndexedDB, aren't ours
+    if (!tr.local || provider.synced) return;
+    const now = Date.now();
+    pending =
+      pending === null
+        ? { count: 1, since: now, until: now }
+        : { ...pending, count: pending.count + 1, until: now };
+    savePending();
+    rerender();
+  };
+
+  /** @param {boolean} synced */
+  const onSync = (synced) => {
+    // The server asks for our changes as soon as we connect, and we've sent
+    // them by the time its answer to our own request makes us synced, so it
+    // has them before this message
+    if (synced && pending !== null) {
+      const { since, until } = pending;
+      if (sendMessage(provider, { type: "offline-sync", since, until })) {
+        pending = null;
+        savePending();
+      }
+    }
+    rerender();
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role" && !destroyed) {
+      persistence.set(ROLE_KEY, { user: userName, role: message.role });
+    }
+  });
+
+  doc.on("update", onUpdate);
+  provider.on("sync", onSync);
+  provider.on("status", rerender);
+  persistence.whenSynced.then(async () => {
+    const stored = await persistence.get(PENDING_KEY);
+    const storedRole = await persistence.get(ROLE_KEY);
+    if (destroyed) return;
+    pending = stored ?? null;
+    loaded = true;
+    // Someone else may have used this browser with a different role
+    if (storedRole?.user === userName) {
+      onRole(storedRole.role);
+    }
+    provider.connect();
+    rerender();
+  });
+  rerender();
+
+  return () => {
+    destroyed = true;
+    persistence.destroy();
+    stopListening();
+    doc.off("update", onUpdate);
+    provider.off("sync", onSync);
+    provider.off("status", rerender);
+    container.remove();
+  };
+};
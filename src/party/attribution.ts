@@ -0,0 +1,54 @@
+import * as Y from "yjs";
+
+/*
+ * Who wrote what is kept in the doc's PermanentUserData (the `users` map):
+ * each user's clientIDs, and the deletions they made. Browsers used to
+ * write their own entries, so anyone could claim to be anyone. Connections
+ * can't write there any more (see EditorServer#guardConnection); the server
+ * records each transaction under its connection's verified user instead.
+ */
+
+type UserEntry = Y.Map<Y.Array<number | Uint8Array>>;
+
+const userEntry = (users: Y.Map<UserEntry>, name: string) => {
+  const existing = users.get(name);
+  if (existing !== undefined) return existing;
+  const entry: UserEntry = new Y.Map();
+  entry.set("ids", new Y.Array<number | Uint8Array>());
+  entry.set("ds", new Y.Array<number | Uint8Array>());
+  users.set(name, entry);
+  return entry;
+};
+
+/**
+ * Records a transaction a client made as `name`'s: the clientIDs it wrote
+ * with that nobody has claimed yet, and what it deleted. Call it after the
+ * transaction (from "afterTransaction" is fine).
+ */
+export function recordAuthor(
+  permanentUserData: Y.PermanentUserData,
+  name: string,
+  transaction: Y.Transaction
+) {
+  const clientIDs = [...transaction.afterState].filter(
+    ([client, clock]) =>
+      clock > (transaction.beforeState.get(client) ?? 0) &&
+      !permanentUserData.clients.has(client)
+  );
+  const { deleteSet } = transaction;
+  if (clientIDs.length === 0 && deleteSet.clients.size === 0) return;
+  const users = permanentUserData.yusers as Y.Map<UserEntry>;
+  transaction.doc.transact(() => {
+    const entry = userEntry(users, name);
+    if (clientIDs.length > 0) {
+      entry.get("ids")?.push(clientIDs.map(([client]) => client));
+    }
+    if (deleteSet.clients.size > 0) {
+      // PermanentUserData reads the delete set a snapshot starts with, and
+      // ignores the (empty) state vector after it
+      entry
+        .get("ds")
+        ?.push([Y.encodeSnapshot(new Y.Snapshot(deleteSet, new Map()))]);
+    }
+  });
+}
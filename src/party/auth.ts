@@ -0,0 +1,126 @@
+import type * as Party from "partykit/server";
+import type { Role } from "./roles";
+
+/** A user whose token was signed with the room's AUTH_SECRET */
+export type Identity = {
+  id: string;
+  name: string;
+};
+
+/** State we keep on every EditorServer connection */
+export type ConnectionState = {
+  user: Identity;
+  role: Role;
+};
+
+// Set by onBeforeConnect on the request it forwards to the room. Any value
+// the client sent itself is overwritten.
+export const IDENTITY_HEADER = "X-Verified-User";
+
+// Sent by EditorServer on its reports to the 'rooms' party. Requests between
+// parties skip onBeforeRequest, so the lobby can't tell them from a client's
+// by anything else. Its value is AUTH_SECRET, which every party shares.
+export const ROOM_SECRET_HEADER = "X-Room-Secret";
+
+const encoder = new TextEncoder();
+
+const base64UrlDecode = (value: string) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const decodeJSON = (value: string) =>
+  JSON.parse(new TextDecoder().decode(base64UrlDecode(value)));
+
+/**
+ * Verifies an HS256 JWT whose payload carries `sub` (user id), `name` and
+ * optionally `exp`. See scripts/sign-token.mjs for issuing one.
+ * @returns The identity, or null if the token is malformed, forged or expired
+ */
+export async function verifyToken(
+  token: string,
+  secret: string
+): Promise<Identity | null> {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  try {
+    if (decodeJSON(header).alg !== "HS256") return null;
+    const key = await crypto.subtle.importKey(
+      "raw",
+      encoder.encode(secret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      key,
+      base64UrlDecode(signature),
+      encoder.encode(`${header}.${payload}`)
+    );
+    if (!valid) return null;
+    const claims = decodeJSON(payload);
+    if (typeof claims.exp === "number" && claims.exp * 1000 < Date.now()) {
+      return null;
+    }
+    if (typeof claims.sub !== "string" || typeof claims.name !== "string") {
+      return null;
+    }
+    return { id: claims.sub, name: claims.name };
+  } catch {
+    return null;
+  }
+}
+
+/** The `token` query parameter, or an `Authorization: Bearer` header for HTTP */
+const tokenOf = (req: Party.Request) => {
+  const header = req.headers.get("Authorization");
+  if (header !== null && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return new URL(req.url).searchParams.get("token");
+};
+
+/**
+ * Rejects connections and requests without a valid token, and tells the
+ * room who the verified user is
+ */
+export async function authenticate(
+  req: Party.Request,
+  lobby: Party.Lobby
+): Promise<Party.Request | Response> {
+  const secret = lobby.env.AUTH_SECRET;
+  if (typeof secret !== "string" || secret === "") {
+    return new Response("AUTH_SECRET is not configured", { status: 500 });
+  }
+  const token = tokenOf(req);
+  const identity = token ? await verifyToken(token, secret) : null;
+  if (identity === null) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+  req.headers.set(IDENTITY_HEADER, JSON.stringify(identity));
+  return req;
+}
+
+/** The identity authenticate() attached to the connection request */
+export function identityFromRequest(request: Party.Request) {
+  const header = request.headers.get(IDENTITY_HEADER);
+  return header === null ? null : (JSON.parse(header) as Identity);
+}
+
+/** Headers that vouch for a request from one of our rooms to the lobby */
+export function roomSecretHeaders(env: Record<string, unknown>) {
+  return { [ROOM_SECRET_HEADER]: String(env.AUTH_SECRET) };
+}
+
+/** Whether a request carries roomSecretHeaders */
+export function isFromRoom(req: Party.Request, env: Record<string, unknown>) {
+  const secret = env.AUTH_SECRET;
+  return (
+    typeof secret === "string" &&
+    secret !== "" &&
+    req.headers.get(ROOM_SECRET_HEADER) === secret
+  );
+}
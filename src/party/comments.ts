@@ -0,0 +1,131 @@
+import * as Y from "yjs";
+import {
+  initProseMirrorDoc,
+  relativePositionToAbsolutePosition,
+} from "y-prosemirror";
+import { schema } from "../schema.js";
+
+/** A message in a comment thread */
+export type CommentMessage = {
+  id: string;
+  author: string;
+  text: string;
+  date: number;
+};
+
+/**
+ * Threads live in `doc.getMap("comments")`, next to the `prosemirror`
+ * fragment. Each thread is a Y.Map with these fields, and its messages are a
+ * Y.Array so concurrent replies don't overwrite each other.
+ */
+export type CommentThreadFields = {
+  /** Y.RelativePosition JSON of the start and end of the commented range */
+  anchor: unknown;
+  head: unknown;
+  /** The commented text, for when the range has since been deleted */
+  quote: string;
+  author: string;
+  createdAt: number;
+  resolved: boolean;
+  messages: Y.Array<CommentMessage>;
+};
+
+export type CommentAction =
+  | {
+      action: "create";
+      anchor: unknown;
+      head: unknown;
+      quote: string;
+      text: string;
+    }
+  | { action: "reply"; thread: string; text: string }
+  | { action: "resolve" | "reopen"; thread: string };
+
+/** The thread an action changed, or why it couldn't be applied */
+export type CommentResult = { thread: string } | { error: string };
+
+/** Transaction origin for comment changes made by the server */
+export const COMMENT_ORIGIN = "comments";
+
+const MAX_COMMENT_LENGTH = 10_000;
+
+/**
+ * Whether a new thread's relative positions point into the live document's
+ * `prosemirror` fragment, with the anchor no later than the head
+ */
+function isValidRange(doc: Y.Doc, anchor: unknown, head: unknown) {
+  const fragment = doc.getXmlFragment("prosemirror");
+  try {
+    const { mapping } = initProseMirrorDoc(fragment, schema);
+    const [from, to] = [anchor, head].map((json) =>
+      relativePositionToAbsolutePosition(
+        doc,
+        fragment,
+        Y.createRelativePositionFromJSON(json),
+        mapping
+      )
+    );
+    return from !== null && to !== null && from <= to;
+  } catch {
+    // Not relative position JSON
+    return false;
+  }
+}
+
+/**
+ * Applies a comment action from a client on behalf of `author`
+ */
+export function applyCommentAction(
+  doc: Y.Doc,
+  action: CommentAction,
+  author: string
+): CommentResult {
+  const threads = doc.getMap<Y.Map<unknown>>("comments");
+  const message = (text: string): CommentMessage => ({
+    id: crypto.randomUUID(),
+    author,
+    text: text.slice(0, MAX_COMMENT_LENGTH),
+    date: Date.now(),
+  });
+
+  if (action.action === "create") {
+    if (typeof action.text !== "string" || action.text.trim() === "") {
+      return { error: "A comment needs some text." };
+    }
+    if (!isValidRange(doc, action.anchor, action.head)) {
+      return { error: "The commented range isn't in the document." };
+    }
+    const id = crypto.randomUUID();
+    doc.transact(() => {
+      const thread = new Y.Map<unknown>();
+      threads.set(id, thread);
+      const messages = new Y.Array<CommentMessage>();
+      thread.set("anchor", action.anchor);
+      thread.set("head", action.head);
+      thread.set("quote", String(action.quote ?? "").slice(0, MAX_COMMENT_LENGTH));
+      thread.set("author", author);
+      thread.set("createdAt", Date.now());
+      thread.set("resolved", false);
+      thread.set("messages", messages);
+      messages.push([message(action.text)]);
+    }, COMMENT_ORIGIN);
+    return { thread: id };
+  }
+
+  const thread = threads.get(action.thread);
+  if (!(thread instanceof Y.Map)) {
+    return { error: "That comment thread doesn't exist." };
+  }
+  doc.transact(() => {
+    if (action.action === "reply") {
+      if (typeof action.text === "string" && action.text.trim() !== "") {
+        (thread.get("messages") as Y.Array<CommentMessage>).push([
+          message(action.text),
+        ]);
+      }
+    } else {
+      thread.set("resolved", action.action === "resolve");
+    }
+  }, COMMENT_ORIGIN);
+  return { thread: action.thread };
+}
@@ -0,0 +1,95 @@
+import * as Y from "yjs";
+import {
+  prosemirrorToYXmlFragment,
+  yXmlFragmentToProseMirrorRootNode,
+} from "y-prosemirror";
+import { Node } from "prosemirror-model";
+import { Step } from "prosemirror-transform";
+import { schema } from "../schema.js";
+
+/** Transaction origin for document edits made over HTTP */
+export const EDIT_ORIGIN = "http";
+
+/** The live document, or the one a version's snapshot captured */
+export function documentAt(doc: Y.Doc, snapshot?: Uint8Array): Node {
+  if (snapshot === undefined) {
+    return yXmlFragmentToProseMirrorRootNode(
+      doc.getXmlFragment("prosemirror"),
+      schema
+    );
+  }
+  const versionDoc = Y.createDocFromSnapshot(doc, Y.decodeSnapshot(snapshot));
+  const node = yXmlFragmentToProseMirrorRootNode(
+    versionDoc.getXmlFragment("prosemirror"),
+    schema
+  );
+  versionDoc.destroy();
+  return node;
+}
+
+/**
+ * Rewrites the document to `next` as a single change made by `name`. The
+ * change is made on a copy of the doc with its own clientID, registered in
+ * PermanentUserData like a browser client would, so insertions and
+ * deletions are attributed to `name` in the version viewer.
+ * @param accept Checks the copy's edited `prosemirror` fragment. The doc
+ *   is left alone if it returns false.
+ * @returns The clientID the change was made with, or null if it wasn't
+ *   accepted
+ */
+export async function editAs(
+  doc: Y.Doc,
+  name: string,
+  next: (current: Node) => Node,
+  accept: (fragment: Y.XmlFragment) => boolean = () => true
+): Promise<number | null> {
+  const editor = new Y.Doc({ gc: false });
+  Y.applyUpdate(editor, Y.encodeStateAsUpdate(doc));
+  const before = Y.encodeStateVector(editor);
+  const permanentUserData = new Y.PermanentUserData(editor);
+  permanentUserData.setUserMapping(editor, editor.clientID, name);
+  const fragment = editor.getXmlFragment("prosemirror");
+  try {
+    prosemirrorToYXmlFragment(
+      next(yXmlFragmentToProseMirrorRootNode(fragment, schema)),
+      fragment
+    );
+    if (!accept(fragment)) return null;
+    // PermanentUserData records deletions in a timeout after the transaction
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(editor, before), EDIT_ORIGIN);
+  } finally {
+    editor.destroy();
+  }
+  return editor.clientID;
+}
+
+/**
+ * Reads an edit sent to the content API: either `{ doc }`, a whole new
+ * document as ProseMirror JSON, or `{ steps }`, ProseMirror steps as JSON to
+ * apply to the current document in order. Invalid JSON for the schema
+ * throws, and so does a `doc` that isn't a whole document or a step that
+ * doesn't apply.
+ * @returns null if the body is neither
+ */
+export function editFromJSON(body: unknown): ((current: Node) => Node) | null {
+  if (typeof body !== "object" || body === null) return null;
+  if ("doc" in body) {
+    const next = Node.fromJSON(schema, body.doc);
+    if (next.type !== schema.topNodeType) {
+      throw new RangeError(`Expected a "${schema.topNodeType.name}" node`);
+    }
+    next.check();
+    return () => next;
+  }
+  if ("steps" in body && Array.isArray(body.steps)) {
+    const steps = body.steps.map((json) => Step.fromJSON(schema, json));
+    return (current) =>
+      steps.reduce((node, step) => {
+        const result = step.apply(node);
+        if (result.doc === null) throw new RangeError(result.failed ?? "");
+        return result.doc;
+      }, current);
+  }
+  return null;
+}
@@ -0,0 +1,274 @@
+import * as Y from "yjs";
+import * as encoding from "lib0/encoding";
+import * as decoding from "lib0/decoding";
+import { isVisible } from "y-prosemirror";
+import type { Mark, Node } from "prosemirror-model";
+import { schema } from "../schema.js";
+import type { Version } from "./versions";
+
+/** Where a room was forked from, kept in the fork's `doc.getMap("fork")` */
+export type ForkSource = {
+  room: string;
+  /** `date` of the version it was forked from */
+  version: number;
+  forkedAt: number;
+  forkedBy: string;
+};
+
+/** The fork's state when it was last merged, see mergeAsSuggestions */
+export type ForkMerge = {
+  date: number;
+  snapshot: Uint8Array;
+};
+
+/** Transaction origin for the content a fork is seeded with */
+export const FORK_ORIGIN = "fork";
+
+const forkMap = (doc: Y.Doc) => doc.getMap<ForkSource | ForkMerge>("fork");
+
+export const forkSourceOf = (doc: Y.Doc) =>
+  (forkMap(doc).get("source") as ForkSource | undefined) ?? null;
+
+export const lastMergeOf = (doc: Y.Doc) =>
+  (forkMap(doc).get("merged") as ForkMerge | undefined) ?? null;
+
+export function setForkSource(doc: Y.Doc, source: ForkSource) {
+  doc.transact(() => {
+    const map = forkMap(doc);
+    // A fork of a fork inherits its origin's entries
+    map.delete("merged");
+    map.set("source", source);
+  }, FORK_ORIGIN);
+}
+
+export function setLastMerge(doc: Y.Doc, merge: ForkMerge) {
+  doc.transact(() => forkMap(doc).set("merged", merge), FORK_ORIGIN);
+}
+
+/**
+ * The document as `version` captured it, with its Yjs history up to then, to
+ * seed a fork with. Sharing that history is what lets the fork's changes be
+ * merged back.
+ */
+export function forkUpdate(doc: Y.Doc, version: Version): Uint8Array {
+  const forked = Y.createDocFromSnapshot(
+    doc,
+    Y.decodeSnapshot(version.snapshot),
+    new Y.Doc({ gc: false })
+  );
+  const update = Y.encodeStateAsUpdate(forked);
+  forked.destroy();
+  return update;
+}
+
+/**
+ * What a fork sends its origin to merge: its current state, and its state at
+ * the last merge (if any) so those changes aren't suggested twice
+ */
+export function encodeMergeRequest(doc: Y.Doc, lastMerge: ForkMerge | null) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint8Array(encoder, Y.encodeStateAsUpdate(doc));
+  if (lastMerge === null) {
+    encoding.writeVarUint8Array(encoder, new Uint8Array());
+  } else {
+    const then = Y.createDocFromSnapshot(
+      doc,
+      Y.decodeSnapshot(lastMerge.snapshot),
+      new Y.Doc({ gc: false })
+    );
+    encoding.writeVarUint8Array(encoder, Y.encodeStateAsUpdate(then));
+    then.destroy();
+  }
+  return encoding.toUint8Array(encoder);
+}
+
+export function decodeMergeRequest(body: Uint8Array) {
+  const decoder = decoding.createDecoder(body);
+  const update = decoding.readVarUint8Array(decoder);
+  const since = decoding.readVarUint8Array(decoder);
+  return { update, since: since.length === 0 ? null : since };
+}
+
+type ChangeType = "added" | "removed";
+
+const UNKNOWN_USER = "Unknown user";
+
+type Range = { clock: number; len: number };
+
+/** Parts of `ranges` outside `minus`. Both are sorted, like a DeleteSet's. */
+const subtractRanges = (ranges: Range[], minus: Range[]) => {
+  const result: Range[] = [];
+  for (const { clock, len } of ranges) {
+    let start = clock;
+    const end = clock + len;
+    for (const cut of minus) {
+      const cutEnd = cut.clock + cut.len;
+      if (cutEnd <= start || cut.clock >= end) continue;
+      if (cut.clock > start) result.push({ clock: start, len: cut.clock - start });
+      start = Math.max(start, cutEnd);
+    }
+    if (start < end) result.push({ clock: start, len: end - start });
+  }
+  return result;
+};
+
+/**
+ * A snapshot of the origin with only the fork's new changes applied: what it
+ * inserted and deleted since `lastMerge`. Changes from earlier merges are
+ * already in the origin as suggestions, so their insertions count as
+ * deleted and their deletions are left out.
+ */
+const forkChangesSnapshot = (
+  origin: Y.Snapshot,
+  lastMerge: Y.Snapshot | null,
+  fork: Y.Snapshot
+) => {
+  const ds = Y.createDeleteSet();
+  const add = (client: number, ranges: Range[]) => {
+    // Lookups in the set fail on empty lists
+    if (ranges.length === 0) return;
+    // Copies, since merging the set changes its items
+    const copies = ranges.map(({ clock, len }) => ({ clock, len }));
+    ds.clients.set(client, (ds.clients.get(client) ?? []).concat(copies));
+  };
+  origin.ds.clients.forEach((ranges, client) => add(client, ranges));
+  fork.ds.clients.forEach((ranges, client) =>
+    add(client, subtractRanges(ranges, lastMerge?.ds.clients.get(client) ?? []))
+  );
+  lastMerge?.sv.forEach((clock, client) => {
+    const from = origin.sv.get(client) ?? 0;
+    if (clock > from) add(client, [{ clock: from, len: clock - from }]);
+  });
+  const sv = new Map(origin.sv);
+  fork.sv.forEach((clock, client) =>
+    sv.set(client, Math.max(clock, sv.get(client) ?? 0))
+  );
+  return new Y.Snapshot(Y.mergeDeleteSets([ds]), sv);
+};
+
+const snapshotOfUpdate = (update: Uint8Array) => {
+  const doc = new Y.Doc({ gc: false });
+  Y.applyUpdate(doc, update);
+  const snapshot = Y.snapshot(doc);
+  doc.destroy();
+  return snapshot;
+};
+
+/**
+ * The origin's live document with a fork's changes in it as suggestions:
+ * text the fork added is marked "added", text it deleted is kept and marked
+ * "removed". Changes made in the origin since the fork are left as they are.
+ * Like suggestion mode, only inline content is tracked, so blocks the fork
+ * added or removed as a whole keep their structure.
+ * @param origin The origin room's doc, which isn't changed
+ * @param update The fork's state, see encodeMergeRequest
+ * @param since The fork's state at its last merge
+ * @returns The document, and how many suggestions it has
+ */
+export function mergeAsSuggestions(
+  origin: Y.Doc,
+  update: Uint8Array,
+  since: Uint8Array | null
+): { doc: Node; suggestions: number } {
+  const merged = new Y.Doc({ gc: false });
+  Y.applyUpdate(merged, Y.encodeStateAsUpdate(origin));
+  const prevSnapshot = Y.snapshot(merged);
+  Y.applyUpdate(merged, update);
+  const snapshot = forkChangesSnapshot(
+    prevSnapshot,
+    since === null ? null : snapshotOfUpdate(since),
+    snapshotOfUpdate(update)
+  );
+  const permanentUserData = new Y.PermanentUserData(merged);
+  const both = new Y.Snapshot(prevSnapshot.ds, snapshot.sv);
+
+  const userOf = (type: ChangeType, id: Y.ID) =>
+    (type === "added"
+      ? permanentUserData.getUserByClientId(id.client)
+      : permanentUserData.getUserByDeletedId(id)) ?? UNKNOWN_USER;
+
+  // Adjacent runs of the same change share an id, so they're reviewed as one
+  let suggestions = 0;
+  let last: { type: ChangeType; user: string; mark: Mark } | null = null;
+  const suggestionMark = (type: ChangeType, user: string) => {
+    if (last === null || last.type !== type || last.user !== user) {
+      suggestions++;
+      last = {
+        type,
+        user,
+        mark: schema.marks.suggestion.create({
+          id: crypto.randomUUID(),
+          user,
+          type,
+          date: Date.now(),
+        }),
+      };
+    }
+    return last.mark;
+  };
+
+  const renderText = (text: Y.XmlText): Node[] =>
+    text
+      .toDelta(snapshot, prevSnapshot, (type: ChangeType, id: Y.ID) => ({
+        type,
+        user: userOf(type, id),
+      }))
+      .filter((op: { insert: unknown }) => typeof op.insert === "string")
+      .map(
+        (op: {
+          insert: string;
+          attributes?: Record<string, { type: ChangeType; user: string }>;
+        }) => {
+          const marks: Mark[] = [];
+          for (const [name, attrs] of Object.entries(op.attributes ?? {})) {
+            if (name === "ychange") {
+              marks.push(suggestionMark(attrs.type, attrs.user));
+            } else if (schema.marks[name] !== undefined) {
+              marks.push(schema.marks[name].create(attrs));
+            }
+          }
+          if (op.attributes?.ychange === undefined) last = null;
+          return schema.text(op.insert, marks);
+        }
+      );
+
+  const renderChildren = (type: Y.XmlFragment | Y.XmlElement): Node[] => {
+    const nodes: Node[] = [];
+    for (const child of Y.typeListToArraySnapshot(type, both) as (
+      | Y.XmlElement
+      | Y.XmlText
+    )[]) {
+      const item = child._item as Y.Item;
+      const inSnapshot = isVisible(item, snapshot);
+      const inPrev = isVisible(item, prevSnapshot);
+      if (!inSnapshot && !inPrev) continue;
+      if (child instanceof Y.XmlText) {
+        nodes.push(...renderText(child));
+        continue;
+      }
+      const nodeType = schema.nodes[child.nodeName];
+      if (nodeType === undefined) continue;
+      const attrs = {
+        ...child.getAttributes(inSnapshot ? snapshot : prevSnapshot),
+        ychange: null,
+      };
+      const change: ChangeType | null =
+        inSnapshot === inPrev ? null : inSnapshot ? "added" : "removed";
+      // Text gets its own marks, whole inline nodes like images get one here
+      const marks =
+        change !== null && nodeType.isInline
+          ? [suggestionMark(change, userOf(change, item.id))]
+          : [];
+      if (change === null || !nodeType.isInline) last = null;
+      nodes.push(nodeType.create(attrs, renderChildren(child), marks));
+    }
+    return nodes;
+  };
+
+  const doc = schema.topNodeType.create(
+    null,
+    renderChildren(merged.getXmlFragment("prosemirror"))
+  );
+  merged.destroy();
+  return { doc, suggestions };
+}
@@ -0,0 +1,193 @@
+import * as Y from "yjs";
+import { isVisible } from "y-prosemirror";
+import type { Version } from "./versions";
+
+/** A version without its snapshot, for listing */
+export type VersionInfo = Omit<Version, "snapshot">;
+
+type ChangeType = "added" | "removed";
+
+/** A run of text, or a whole block, that changed between two versions */
+export type Change = {
+  type: ChangeType;
+  user: string;
+  /**
+   * Index path of the block, e.g. [2, 0], counting blocks from both
+   * versions as the version viewer shows them
+   */
+  path: number[];
+  /** Node name of the block, e.g. "paragraph" */
+  node: string;
+  text: string;
+};
+
+export type AuthorChanges = {
+  user: string;
+  /** Characters (or inline nodes) added */
+  inserted: number;
+  /** Characters (or inline nodes) removed */
+  deleted: number;
+};
+
+export type Diff = {
+  changes: Change[];
+  authors: AuthorChanges[];
+};
+
+export const versionInfo = ({ snapshot: _, ...info }: Version): VersionInfo =>
+  info;
+
+const UNKNOWN_USER = "Unknown user";
+
+/**
+ * Every change between two snapshots, attributed like ySyncPlugin's
+ * `ychange` rendering, so it matches what the version viewer highlights.
+ * Blocks that were added or removed as a whole are one change each.
+ */
+export function diffSnapshots(
+  doc: Y.Doc,
+  permanentUserData: Y.PermanentUserData,
+  prevSnapshot: Y.Snapshot,
+  snapshot: Y.Snapshot
+): Diff {
+  const userOf = (type: ChangeType, id: Y.ID) =>
+    (type === "added"
+      ? permanentUserData.getUserByClientId(id.client)
+      : permanentUserData.getUserByDeletedId(id)) ?? UNKNOWN_USER;
+  const changes: Change[] = [];
+  const authors = new Map<string, AuthorChanges>();
+
+  const record = (change: Change, length: number) => {
+    const last = changes[changes.length - 1];
+    if (
+      last !== undefined &&
+      last.type === change.type &&
+      last.user === change.user &&
+      last.path.join() === change.path.join()
+    ) {
+      last.text += change.text;
+    } else {
+      changes.push(change);
+    }
+    const author = authors.get(change.user) ?? {
+      user: change.user,
+      inserted: 0,
+      deleted: 0,
+    };
+    if (change.type === "added") {
+      author.inserted += length;
+    } else {
+      author.deleted += length;
+    }
+    authors.set(change.user, author);
+  };
+
+  const textAt = (type: Y.XmlElement | Y.XmlText, at: Y.Snapshot): string => {
+    if (type instanceof Y.XmlText) {
+      return type
+        .toDelta(at)
+        .map((op: { insert: unknown }) =>
+          typeof op.insert === "string" ? op.insert : ""
+        )
+        .join("");
+    }
+    return Y.typeListToArraySnapshot(type, at)
+      .map((child) => textAt(child as Y.XmlElement | Y.XmlText, at))
+      .join("");
+  };
+
+  const visit = (type: Y.XmlFragment | Y.XmlElement, path: number[]) => {
+    const node = type instanceof Y.XmlElement ? type.nodeName : "doc";
+    const children = Y.typeListToArraySnapshot(
+      type,
+      new Y.Snapshot(prevSnapshot.ds, snapshot.sv)
+    ) as (Y.XmlElement | Y.XmlText)[];
+    let index = 0;
+    for (const child of children) {
+      const item = child._item as Y.Item;
+      const inSnapshot = isVisible(item, snapshot);
+      const inPrev = isVisible(item, prevSnapshot);
+      if (child instanceof Y.XmlText) {
+        child
+          .toDelta(snapshot, prevSnapshot, (type: ChangeType, id: Y.ID) => ({
+            type,
+            user: userOf(type, id),
+          }))
+          .forEach(
+            (op: {
+              insert: unknown;
+              attributes?: { ychange?: { type: ChangeType; user: string } };
+            }) => {
+              const ychange = op.attributes?.ychange;
+              if (!ychange) return;
+              const text = typeof op.insert === "string" ? op.insert : "";
+              record(
+                { type: ychange.type, user: ychange.user, path, node, text },
+                typeof op.insert === "string" ? op.insert.length : 1
+              );
+            }
+          );
+        continue;
+      }
+      const childPath = path.concat(index);
+      if (!inSnapshot && !inPrev) continue;
+      if (inSnapshot && inPrev) {
+        visit(child, childPath);
+      } else {
+        const type = inSnapshot ? "added" : "removed";
+        const text = textAt(child, inSnapshot ? snapshot : prevSnapshot);
+        record(
+          {
+            type,
+            user: userOf(type, item.id),
+            path: childPath,
+            node: child.nodeName,
+            text,
+          },
+          text.length
+        );
+      }
+      index++;
+    }
+  };
+
+  doc.transact((transaction) => {
+    // Split deleted structs by who deleted them, as ySyncPlugin does
+    permanentUserData.dss.forEach((ds) => {
+      Y.iterateDeletedStructs(transaction, ds, () => {});
+    });
+    visit(doc.getXmlFragment("prosemirror"), []);
+  });
+  return {
+    changes,
+    authors: [...authors.values()].sort(
+      (a, b) => b.inserted + b.deleted - (a.inserted + a.deleted)
+    ),
+  };
+}
+
+/**
+ * Least recently used cache. Versions never change once taken, so what's
+ * computed from them can be kept until it falls out.
+ */
+export class LRUCache<K, V> {
+  entries = new Map<K, V>();
+
+  constructor(public size: number) {}
+
+  get(key: K, compute: () => V): V {
+    if (this.entries.has(key)) {
+      const value = this.entries.get(key) as V;
+      // Move to the back of the Map's insertion order
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      return value;
+    }
+    const value = compute();
+    this.entries.set(key, value);
+    if (this.entries.size > this.size) {
+      this.entries.delete(this.entries.keys().next().value as K);
+    }
+    return value;
+  }
+}
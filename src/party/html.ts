@@ -0,0 +1,89 @@
+import { DOMSerializer, type Node } from "prosemirror-model";
+import { withoutSuggestions } from "../schema.js";
+
+/*
+ * Workers have no DOM, but DOMSerializer only needs a handful of document
+ * methods. This stand-in builds a tree that prints itself as HTML, so the
+ * server renders documents with the same toDOM specs as the editor.
+ */
+
+const VOID_ELEMENTS = new Set(["br", "hr", "img", "input"]);
+
+const escapeText = (text: string) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const escapeAttribute = (value: string) =>
+  escapeText(value).replace(/"/g, "&quot;");
+
+class HTMLFragment {
+  childNodes: (HTMLElementStub | HTMLText)[] = [];
+
+  appendChild<T extends HTMLElementStub | HTMLText>(child: T) {
+    this.childNodes.push(child);
+    return child;
+  }
+
+  toString(): string {
+    return this.childNodes.join("");
+  }
+}
+
+class HTMLElementStub extends HTMLFragment {
+  nodeType = 1;
+  attributes = new Map<string, string>();
+
+  constructor(public tagName: string) {
+    super();
+  }
+
+  setAttribute(name: string, value: unknown) {
+    this.attributes.set(name, String(value));
+  }
+
+  toString() {
+    const attributes = [...this.attributes]
+      .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+      .join("");
+    if (VOID_ELEMENTS.has(this.tagName)) {
+      return `<${this.tagName}${attributes}>`;
+    }
+    return `<${this.tagName}${attributes}>${super.toString()}</${this.tagName}>`;
+  }
+}
+
+class HTMLText {
+  nodeType = 3;
+
+  constructor(public text: string) {}
+
+  toString() {
+    return escapeText(this.text);
+  }
+}
+
+const htmlDocument = {
+  createDocumentFragment: () => new HTMLFragment(),
+  createElement: (tagName: string) => new HTMLElementStub(tagName),
+  createElementNS: (_: string, tagName: string) => new HTMLElementStub(tagName),
+  createTextNode: (text: string) => new HTMLText(text),
+};
+
+/**
+ * Renders a document's content as an HTML string, without pending
+ * suggestions (see withoutSuggestions)
+ */
+export function toHTML(doc: Node): string {
+  return DOMSerializer.fromSchema(doc.type.schema)
+    .serializeFragment(withoutSuggestions(doc).content, {
+      document: htmlDocument as unknown as Document,
+    })
+    .toString();
+}
+
+/** Plain text, with blank lines between blocks, like toHTML */
+export function toText(doc: Node): string {
+  const original: Node = withoutSuggestions(doc);
+  return original.textBetween(0, original.content.size, "\n\n", (leaf) =>
+    leaf.type.name === "hard_break" ? "\n" : ""
+  );
+}
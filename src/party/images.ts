@@ -0,0 +1,180 @@
+import type * as Party from "partykit/server";
+import type { Node } from "prosemirror-model";
+import * as Y from "yjs";
+
+/** An uploaded image's metadata. Its bytes are stored in chunks. */
+export type StoredImage = {
+  id: string;
+  type: ImageType;
+  size: number;
+  chunks: number;
+  uploadedAt: number;
+  uploadedBy: string;
+};
+
+export const IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+] as const;
+
+export type ImageType = (typeof IMAGE_TYPES)[number];
+
+export const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Uploads are kept this long even if no document references them, so images
+// whose placeholder hasn't been replaced yet aren't cleaned up
+export const UNREFERENCED_GRACE_MS = 60 * 60 * 1000;
+
+// Storage values are limited to 128 KiB
+const CHUNK_BYTES = 120 * 1024;
+
+const META_PREFIX = "image:";
+const chunkKey = (id: string, index: number) => `image-data:${id}:${index}`;
+
+/** Leading bytes of each accepted format */
+const SIGNATURES: [ImageType, (bytes: Uint8Array) => boolean][] = [
+  [
+    "image/png",
+    (b) => [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((v, i) => b[i] === v),
+  ],
+  ["image/jpeg", (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff],
+  ["image/gif", (b) => String.fromCharCode(...b.slice(0, 4)) === "GIF8"],
+  [
+    "image/webp",
+    (b) =>
+      String.fromCharCode(...b.slice(0, 4)) === "RIFF" &&
+      String.fromCharCode(...b.slice(8, 12)) === "WEBP",
+  ],
+];
+
+/**
+ * The type of an image from its content rather than what the uploader
+ * claims, since we serve it back with that type. SVG isn't accepted, as it
+ * can carry scripts.
+ * @returns null unless it's one of IMAGE_TYPES
+ */
+export function sniffImageType(bytes: Uint8Array): ImageType | null {
+  const match = SIGNATURES.find(([, matches]) => matches(bytes));
+  return match === undefined ? null : match[0];
+}
+
+/** Reads IMAGE_MAX_BYTES from the room's environment */
+export function maxImageBytesFromEnv(env: Record<string, unknown>) {
+  const value = Number(env.IMAGE_MAX_BYTES);
+  return env.IMAGE_MAX_BYTES === undefined || Number.isNaN(value)
+    ? DEFAULT_MAX_IMAGE_BYTES
+    : value;
+}
+
+export async function saveImage(
+  storage: Party.Storage,
+  bytes: Uint8Array,
+  type: ImageType,
+  uploadedBy: string
+): Promise<StoredImage> {
+  const image: StoredImage = {
+    id: crypto.randomUUID(),
+    type,
+    size: bytes.byteLength,
+    chunks: Math.ceil(bytes.byteLength / CHUNK_BYTES),
+    uploadedAt: Date.now(),
+    uploadedBy,
+  };
+  const entries: Record<string, Uint8Array> = {};
+  for (let i = 0; i < image.chunks; i++) {
+    entries[chunkKey(image.id, i)] = bytes.slice(
+      i * CHUNK_BYTES,
+      (i + 1) * CHUNK_BYTES
+    );
+  }
+  await storage.put(entries);
+  // Written last, so a listed image always has all of its chunks
+  await storage.put(META_PREFIX + image.id, image);
+  return image;
+}
+
+/** @returns The image and its bytes, or null if there's no such image */
+export async function loadImage(storage: Party.Storage, id: string) {
+  const image = await storage.get<StoredImage>(META_PREFIX + id);
+  if (image === undefined) return null;
+  const keys = Array.from({ length: image.chunks }, (_, i) => chunkKey(id, i));
+  const chunks = await storage.get<Uint8Array>(keys);
+  const bytes = new Uint8Array(image.size);
+  let offset = 0;
+  for (const key of keys) {
+    const chunk = chunks.get(key);
+    if (chunk === undefined) return null;
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return { image, bytes };
+}
+
+export async function listImages(storage: Party.Storage) {
+  const images = await storage.list<StoredImage>({ prefix: META_PREFIX });
+  return [...images.values()];
+}
+
+export async function deleteImage(storage: Party.Storage, image: StoredImage) {
+  await storage.delete(META_PREFIX + image.id);
+  await storage.delete(
+    Array.from({ length: image.chunks }, (_, i) => chunkKey(image.id, i))
+  );
+}
+
+/** The path an image is served from, relative to the room */
+export const imagePath = (id: string) => `images/${id}`;
+
+/** The id of an image we host, from an image node's `src` */
+export function imageIdFromSrc(src: unknown): string | null {
+  if (typeof src !== "string") return null;
+  const match = /\/images\/([0-9a-f-]{36})$/.exec(src);
+  return match === null ? null : match[1];
+}
+
+/** Ids of the hosted images in a document */
+export function imageIdsIn(doc: Node): Set<string> {
+  const ids = new Set<string>();
+  doc.descendants((node) => {
+    if (node.type.name !== "image") return true;
+    const id = imageIdFromSrc(node.attrs.src);
+    if (id !== null) ids.add(id);
+    return false;
+  });
+  return ids;
+}
+
+/** Transaction origin for removing the placeholders of abandoned uploads */
+export const UPLOADS_ORIGIN = "uploads";
+
+/**
+ * Removes `image_upload` placeholders whose uploader is gone. Only the
+ * uploader's browser replaces a placeholder with its image, so these would
+ * otherwise stay forever.
+ * @param uploading Whether the user a placeholder names can still finish
+ * @returns How many placeholders were removed
+ */
+export function removeAbandonedUploads(
+  fragment: Y.XmlFragment,
+  uploading: (name: string) => boolean
+): number {
+  let removed = 0;
+  const visit = (parent: Y.XmlFragment | Y.XmlElement) => {
+    const children = parent.toArray();
+    // Backwards, so deleting doesn't shift the children still to visit
+    for (let index = children.length - 1; index >= 0; index--) {
+      const child = children[index];
+      if (!(child instanceof Y.XmlElement)) continue;
+      if (child.nodeName !== "image_upload") {
+        visit(child);
+      } else if (!uploading(child.getAttribute("name") ?? "")) {
+        parent.delete(index, 1);
+        removed++;
+      }
+    }
+  };
+  (fragment.doc as Y.Doc).transact(() => visit(fragment), UPLOADS_ORIGIN);
+  return removed;
+}
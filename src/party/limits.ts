@@ -0,0 +1,80 @@
+import { envNumber } from "./versions";
+
+/** How much each connection may send and change */
+export type Limits = {
+  /** Messages a connection may send per window, Yjs and our own */
+  messagesPerWindow: number;
+  /** Bytes a connection may send per window */
+  bytesPerWindow: number;
+  windowMs: number;
+  /**
+   * The largest document a client may edit into, as ProseMirror's content
+   * size: about one per character, plus two per block
+   */
+  maxDocumentSize: number;
+  /** Versions a connection may ask for per minute */
+  versionsPerMinute: number;
+};
+
+export const DEFAULT_LIMITS: Limits = {
+  messagesPerWindow: 500,
+  bytesPerWindow: 10_000_000,
+  windowMs: 10 * 1000,
+  maxDocumentSize: 1_000_000,
+  versionsPerMinute: 10,
+};
+
+/**
+ * Reads RATE_LIMIT_MESSAGES, RATE_LIMIT_BYTES, RATE_LIMIT_WINDOW_MS,
+ * MAX_DOCUMENT_SIZE and MAX_VERSIONS_PER_MINUTE from the room's environment
+ */
+export function limitsFromEnv(env: Record<string, unknown>): Limits {
+  return {
+    messagesPerWindow: envNumber(
+      env.RATE_LIMIT_MESSAGES,
+      DEFAULT_LIMITS.messagesPerWindow
+    ),
+    bytesPerWindow: envNumber(env.RATE_LIMIT_BYTES, DEFAULT_LIMITS.bytesPerWindow),
+    windowMs: envNumber(env.RATE_LIMIT_WINDOW_MS, DEFAULT_LIMITS.windowMs),
+    maxDocumentSize: envNumber(
+      env.MAX_DOCUMENT_SIZE,
+      DEFAULT_LIMITS.maxDocumentSize
+    ),
+    versionsPerMinute: envNumber(
+      env.MAX_VERSIONS_PER_MINUTE,
+      DEFAULT_LIMITS.versionsPerMinute
+    ),
+  };
+}
+
+/** Why the server refused or changed something a client sent */
+export type LimitErrorCode =
+  | "rate-limited"
+  | "document-too-large"
+  | "invalid-content"
+  | "versions-read-only"
+  | "read-only"
+  | "too-many-versions";
+
+/** Adds up amounts over fixed windows of time */
+export class WindowCounter {
+  start = 0;
+  total = 0;
+
+  constructor(public windowMs: number) {}
+
+  /** The total so far in the current window */
+  count(now = Date.now()) {
+    if (now - this.start >= this.windowMs) {
+      this.start = now;
+      this.total = 0;
+    }
+    return this.total;
+  }
+
+  /** @returns The new total for the current window */
+  add(amount = 1, now = Date.now()) {
+    this.total = this.count(now) + amount;
+    return this.total;
+  }
+}
@@ -0,0 +1,74 @@
+import type * as Party from "partykit/server";
+import * as Y from "yjs";
+import {
+  clearRange,
+  getLevelBulkData,
+  type YPartyKitStorage,
+} from "y-partykit/storage";
+
+/*
+ * y-partykit's "history" persistence keeps every update in the room's
+ * storage, but reads and compacts the log through a Y.Doc with gc on. That
+ * throws away deleted content, which versions (Y.Snapshots) need to render.
+ * These read and compact the same log without gc, so rooms stored before
+ * keep loading.
+ */
+
+type UpdateKey = ["v1", string, "update", number];
+
+// y-partykit's key for an update in a document's log
+const updateKey = (name: string, clock: number): UpdateKey => [
+  "v1",
+  name,
+  "update",
+  clock,
+];
+
+// Past the last clock y-partykit uses
+const END_CLOCK = 0xffffffff;
+
+const readUpdates = (storage: Party.Storage, name: string) =>
+  getLevelBulkData(storage, {
+    gte: updateKey(name, 0),
+    lt: updateKey(name, END_CLOCK),
+    keys: false,
+    values: true,
+  });
+
+/**
+ * The document in a room's update log, deleted content included. For
+ * y-partykit's `load` option: it reads the log again with gc on afterwards,
+ * but everything in that is already known by then.
+ */
+export async function loadDocument(
+  storage: Party.Storage,
+  name: string
+): Promise<Y.Doc> {
+  const updates = await readUpdates(storage, name);
+  const doc = new Y.Doc({ gc: false });
+  doc.transact(() => {
+    updates.forEach(({ value }) => Y.applyUpdate(doc, value));
+  });
+  return doc;
+}
+
+/**
+ * Replaces the update log with a single update holding the doc's whole
+ * state, once it has more than `maxUpdates` updates or `maxBytes` bytes.
+ * Goes through the doc's own storage queue, so updates stored meanwhile get
+ * later clocks and stay.
+ */
+export async function compactDocument(
+  doc: Y.Doc,
+  log: YPartyKitStorage,
+  name: string,
+  { maxUpdates, maxBytes }: { maxUpdates: number; maxBytes: number }
+) {
+  const updates = await readUpdates(log.db, name);
+  const bytes = updates.reduce((total, { value }) => total + value.byteLength, 0);
+  if (updates.length <= maxUpdates && (bytes <= maxBytes || updates.length <= 1)) {
+    return;
+  }
+  const clock = await log.storeUpdate(name, Y.encodeStateAsUpdate(doc));
+  await clearRange(log.db, updateKey(name, 0), updateKey(name, clock));
+}
@@ -0,0 +1,43 @@
+import type * as Party from "partykit/server";
+
+export type Role = "editor" | "commenter" | "viewer";
+
+export const ROLES: Role[] = ["editor", "commenter", "viewer"];
+
+/** Who may do what in a room, stored in the room's storage */
+export type RoomRoles = {
+  /** User id of whoever created the room. Owners are always editors. */
+  owner: string;
+  /** Role of signed-in users who aren't listed in `members` */
+  defaultRole: Role;
+  members: { [userId: string]: Role };
+};
+
+const STORAGE_KEY = "roles";
+
+export const isRole = (value: unknown): value is Role =>
+  ROLES.includes(value as Role);
+
+/** Viewers and commenters can't change the document itself */
+export const canEdit = (role: Role) => role === "editor";
+
+/** Everyone but viewers can start and answer comment threads */
+export const canComment = (role: Role) => role !== "viewer";
+
+export function roleOf(roles: RoomRoles, userId: string): Role {
+  if (userId === roles.owner) return "editor";
+  return roles.members[userId] ?? roles.defaultRole;
+}
+
+export async function loadRoles(storage: Party.Storage) {
+  return (await storage.get<RoomRoles>(STORAGE_KEY)) ?? null;
+}
+
+export async function saveRoles(storage: Party.Storage, roles: RoomRoles) {
+  await storage.put(STORAGE_KEY, roles);
+}
+
+/** A new room belongs to its first user, and everyone else can edit */
+export function createRoles(owner: string): RoomRoles {
+  return { owner, defaultRole: "editor", members: {} };
+}
@@ -1,37 +1,137 @@
 import type * as Party from "partykit/server";
+import { authenticate, isFromRoom } from "./auth";
 
 export interface Rooms {
   [key: string]: number;
 }
+
+/** A named user as reported by an EditorServer from its awareness states */
+export type PresenceUpdateUser = {
+  clientID: number;
+  name: string;
+  lastActiveAt: number;
+};
+
+export type Occupant = {
+  name: string;
+  joinedAt: number;
+  lastActiveAt: number;
+};
+
+/** Occupants of every room, keyed by room id and then by awareness clientID */
+export interface Presence {
+  [room: string]: { [clientID: string]: Occupant };
+}
+
+/** Rooms that were forked from a version of another, by room id */
+export interface Forks {
+  [room: string]: { room: string; version: number };
+}
+
 export const SINGLETON_ROOM_ID = "index";
 
 export default class OccupancyServer implements Party.Server {
   // Track room occupancy
   rooms: Rooms;
+  // Track who is in each room
+  presence: Presence;
+  // Track where forks came from
+  forks: Forks;
 
   constructor(public room: Party.Room) {
     this.rooms = {};
+    this.presence = {};
+    this.forks = {};
+  }
+
+  async onStart() {
+    // Occupants are only kept in memory: nobody would be left to report
+    // them gone if they were restored after a restart. Rooms report again
+    // as their occupants come and go.
+    await this.room.storage.delete(["rooms", "presence"]);
+    this.forks = (await this.room.storage.get<Forks>("forks")) ?? {};
+  }
+
+  static async onBeforeRequest(req: Party.Request, lobby: Party.Lobby) {
+    // Presence names who's in each room, so it takes the same token as the
+    // rooms themselves. Rooms' own reports don't pass through here.
+    return authenticate(req, lobby);
   }
 
   onConnect(connection: Party.Connection) {
-    connection.send(JSON.stringify({ type: "rooms", rooms: this.rooms }));
+    connection.send(
+      JSON.stringify({ type: "rooms", rooms: this.rooms, forks: this.forks })
+    );
   }
 
   async onRequest(req: Party.Request) {
     if (req.method === "GET") {
-      return new Response(
-        `Hi! This is party '${this.room.name}' and room '${this.room.id}'!`
-      );
+      const room = new URL(req.url).searchParams.get("room");
+      if (room !== null) {
+        return Response.json({
+          room,
+          count: this.rooms[room] ?? 0,
+          users: this.presence[room] ?? {},
+          forkedFrom: this.forks[room] ?? null,
+        });
+      }
+      return Response.json({
+        rooms: this.rooms,
+        presence: this.presence,
+        forks: this.forks,
+      });
     }
 
     if (req.method === "POST") {
-      const { room, count }: { room: string; count: number } = await req.json();
+      // Only rooms report their occupants and forks
+      if (!isFromRoom(req, this.room.env)) {
+        return Response.json({ error: "Forbidden" }, { status: 403 });
+      }
+      const {
+        room,
+        count,
+        users,
+        forkedFrom,
+      }: {
+        room: string;
+        count: number;
+        users?: PresenceUpdateUser[];
+        // Sent once, when a fork is created
+        forkedFrom?: Forks[string];
+      } = await req.json();
       this.rooms[room] = count;
-      this.room.broadcast(JSON.stringify({ type: "rooms", rooms: this.rooms }));
+      if (users) {
+        this.presence[room] = this.mergeOccupants(room, users);
+      }
+      if (forkedFrom) {
+        this.forks[room] = forkedFrom;
+        await this.room.storage.put("forks", this.forks);
+      }
+      this.room.broadcast(
+        JSON.stringify({ type: "rooms", rooms: this.rooms, forks: this.forks })
+      );
       return Response.json({ ok: true });
     }
 
     // Always return a Response
     return Response.json({ error: "Method not allowed" }, { status: 405 });
   }
+
+  /**
+   * Replaces the occupants of a room, keeping `joinedAt` for clients that
+   * were already present
+   */
+  mergeOccupants(room: string, users: PresenceUpdateUser[]) {
+    const previous = this.presence[room] ?? {};
+    const now = Date.now();
+    const occupants: { [clientID: string]: Occupant } = {};
+    for (const { clientID, name, lastActiveAt } of users) {
+      occupants[clientID] = {
+        name,
+        joinedAt: previous[clientID]?.joinedAt ?? now,
+        lastActiveAt,
+      };
+    }
+    return occupants;
+  }
 }
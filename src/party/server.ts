@@ -1,72 +1,1240 @@
 import type * as Party from "partykit/server";
 import * as Y from "yjs";
-import { onConnect, type YPartyKitOptions } from "y-partykit";
+import * as decoding from "lib0/decoding";
+import {
+  onConnect,
+  unstable_getYDoc,
+  type YPartyKitOptions,
+} from "y-partykit";
 import type { Doc } from "yjs";
-import { SINGLETON_ROOM_ID } from "./rooms";
+import type { Node } from "prosemirror-model";
+import { SINGLETON_ROOM_ID, type PresenceUpdateUser } from "./rooms";
+import {
+  authenticate,
+  IDENTITY_HEADER,
+  identityFromRequest,
+  isFromRoom,
+  roomSecretHeaders,
+  type ConnectionState,
+  type Identity,
+} from "./auth";
+import {
+  canComment,
+  canEdit,
+  createRoles,
+  isRole,
+  loadRoles,
+  roleOf,
+  saveRoles,
+  type RoomRoles,
+} from "./roles";
+import { applyCommentAction } from "./comments";
+import { compactDocument, loadDocument } from "./persistence";
+import { recordAuthor } from "./attribution";
+import { documentAt, editAs, editFromJSON } from "./edits";
+import { toHTML, toText } from "./html";
+import {
+  decodeMergeRequest,
+  encodeMergeRequest,
+  FORK_ORIGIN,
+  forkSourceOf,
+  forkUpdate,
+  lastMergeOf,
+  mergeAsSuggestions,
+  setForkSource,
+  setLastMerge,
+} from "./forks";
+import { diffSnapshots, LRUCache, versionInfo, type Diff } from "./history";
+import {
+  createWebhook,
+  loadWebhooks,
+  saveWebhooks,
+  summarizeDiff,
+  webhookFromJSON,
+  webhookInfo,
+  WebhookSender,
+  type Webhook,
+  type WebhookEvent,
+} from "./webhooks";
+import {
+  deleteImage,
+  imageIdsIn,
+  imagePath,
+  listImages,
+  loadImage,
+  maxImageBytesFromEnv,
+  removeAbandonedUploads,
+  saveImage,
+  sniffImageType,
+  UNREFERENCED_GRACE_MS,
+} from "./images";
+import {
+  limitsFromEnv,
+  WindowCounter,
+  type LimitErrorCode,
+} from "./limits";
+import {
+  checkFragment,
+  FragmentChecker,
+  repairFragment,
+} from "./validation";
+import { fromMarkdown, toMarkdown } from "../markdown.js";
+import {
+  labelVersion,
+  pruneVersions,
+  retentionPolicyFromEnv,
+  snapshotPolicyFromEnv,
+  VersionRecorder,
+  type Author,
+  type Version,
+} from "./versions";
 
-type Version = {
-  date: number;
-  snapshot: Uint8Array;
-  clientID: number;
-  username: string;
+// Compact the stored update log at most this often while clients are editing.
+// y-partykit already compacts when the last client disconnects.
+const COMPACTION_INTERVAL_MS = 5 * 60 * 1000;
+
+// Cursor movements change awareness constantly, so presence is reported to
+// the 'rooms' party at most this often
+const PRESENCE_THROTTLE_MS = 5 * 1000;
+
+// Rendered versions and diffs between versions kept in memory
+const HISTORY_CACHE_SIZE = 100;
+
+// Client messages that ask for a version
+const VERSION_REQUESTS = ["snapshot", "restored", "offline-sync"];
+
+// y-partykit doesn't export its WSSharedDoc class
+type SharedDoc = Awaited<ReturnType<typeof unstable_getYDoc>>;
+
+/** A document as a Response, in the `?format=` a caller asked for */
+const documentResponse = (node: Node, format: string | null) => {
+  if (format === "html") {
+    return new Response(toHTML(node), {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    });
+  }
+  if (format === "text") {
+    return new Response(toText(node), {
+      headers: { "Content-Type": "text/plain; charset=utf-8" },
+    });
+  }
+  if (format === "markdown") {
+    return new Response(toMarkdown(node), {
+      headers: { "Content-Type": "text/markdown; charset=utf-8" },
+    });
+  }
+  return Response.json(node.toJSON());
+};
+
+/**
+ * The part of a room URL after the room id, e.g. "markdown" for
+ * /parties/main/<room>/markdown
+ */
+const routeOf = (req: Party.Request) =>
+  new URL(req.url).pathname.split("/").slice(4).join("/");
+
+/** GET /images/<id> */
+const isImageRequest = (req: Party.Request) =>
+  req.method === "GET" && routeOf(req).startsWith("images/");
+
+// Marks the start and end of a message y-partykit sent in chunks
+const BATCH_PREFIX = "y-pk-batch#";
+
+// The y-protocols message types that carry document updates
+const MESSAGE_SYNC = 0;
+const SYNC_STEP_1 = 0;
+
+/**
+ * Whether a binary Yjs message would change the document. Sync step 1 (a
+ * state vector) and awareness messages don't.
+ */
+const isDocumentUpdate = (message: ArrayBuffer) => {
+  try {
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    return (
+      decoding.readVarUint(decoder) === MESSAGE_SYNC &&
+      decoding.readVarUint(decoder) !== SYNC_STEP_1
+    );
+  } catch {
+    // Not a message y-partykit could read either
+    return true;
+  }
 };
 
+/**
+ * One of our JSON control messages, or null for anything else a client
+ * might send as text
+ */
+const parseControlMessage = (message: string): any => {
+  let data;
+  try {
+    data = JSON.parse(message);
+  } catch {
+    return null;
+  }
+  if (typeof data !== "object" || data === null) return null;
+  return typeof data.type === "string" ? data : null;
+};
+
+type AwarenessChange = {
+  added: number[];
+  updated: number[];
+  removed: number[];
+};
+
+const PERSISTENCE = {
+  mode: "history",
+  maxUpdates: 500,
+  maxBytes: 5_000_000,
+} as const;
+
 export default class EditorServer implements Party.Server {
   yjsOptions: YPartyKitOptions = {
-    persist: false
+    // Versions are Y.Snapshots, which need deleted content to stay around,
+    // so gc must be off. y-partykit loads and compacts the stored log with
+    // gc on, so we do both ourselves, see loadDocument and compactDocument.
+    gc: false,
+    persist: PERSISTENCE,
   };
-  
-  constructor(public room: Party.Room) {}
+
+  lastCompaction = Date.now();
+
+  // The doc we're subscribed to. y-partykit destroys the doc when the last
+  // client leaves and creates a new one on the next connect.
+  doc: SharedDoc | null = null;
+  versionRecorder: VersionRecorder | null = null;
+  presenceTimer: ReturnType<typeof setTimeout> | null = null;
+  // Last time each awareness clientID changed its state (e.g. moved a cursor)
+  lastActive = new Map<number, number>();
+
+  roles: RoomRoles | null = null;
+
+  permanentUserData: Y.PermanentUserData | null = null;
+  historyCache = new LRUCache<string, Node | Diff>(HISTORY_CACHE_SIZE);
+
+  webhooks: Webhook[] = [];
+  webhookSender: WebhookSender;
+
+  // Versions each connection asked for in the last minute
+  versionRequests = new WeakMap<Party.Connection, WindowCounter>();
+  // Shared by each doc's connections, see guardConnection
+  fragmentCheckers = new WeakMap<Y.Doc, FragmentChecker>();
+
+  constructor(public room: Party.Room) {
+    this.webhookSender = new WebhookSender(room.id);
+  }
+
+  async onStart() {
+    this.roles = await loadRoles(this.room.storage);
+    this.webhooks = await loadWebhooks(this.room.storage);
+  }
 
   getOpts() {
     // options must match when calling unstable_getYDoc and onConnect
     const opts: YPartyKitOptions = {
+      ...this.yjsOptions,
+      load: () => loadDocument(this.room.storage, this.room.id),
       callback: { handler: (doc) => this.handleYDocChange(doc) },
     };
     return opts;
   }
 
-  async onConnect(conn: Party.Connection) {
-    await this.updateCount();
-    return onConnect(conn, this.room, this.getOpts());
+  static async onBeforeConnect(req: Party.Request, lobby: Party.Lobby) {
+    return authenticate(req, lobby);
   }
 
-  async onClose(_: Party.Connection) {
-    await this.updateCount();
+  static async onBeforeRequest(req: Party.Request, lobby: Party.Lobby) {
+    // <img> can't send a token, so an image's random id is what protects it
+    if (isImageRequest(req)) return req;
+    return authenticate(req, lobby);
   }
 
-  handleYDocChange(doc: Doc) {
-    doc.gc = false;
+  /** A new room belongs to whoever first connects to it or calls its API */
+  async roleFor(user: Identity) {
+    if (this.roles === null) {
+      this.roles = createRoles(user.id);
+      await saveRoles(this.room.storage, this.roles);
+    }
+    return roleOf(this.roles, user.id);
+  }
+
+  /** The room's doc, loading it from storage if no one is connected */
+  async loadDoc() {
+    const doc = await unstable_getYDoc(this.room, this.getOpts());
+    this.bindDoc(doc);
+    return doc;
+  }
+
+  async onRequest(req: Party.Request) {
+    // Before reading the identity, which isn't verified for these
+    if (isImageRequest(req)) {
+      return this.serveImage(routeOf(req).slice("images/".length));
+    }
+    const user = identityFromRequest(req);
+    if (user === null) {
+      return new Response("Unauthorized", { status: 401 });
+    }
+    const role = await this.roleFor(user);
+    const route = routeOf(req);
+    if (route === "markdown") {
+      return this.handleMarkdown(req, user, canEdit(role));
+    }
+    if (route === "content") {
+      return this.handleContent(req, user, canEdit(role));
+    }
+    if (route === "versions" || route.startsWith("versions/")) {
+      return this.handleVersions(req, route.slice("versions/".length));
+    }
+    if (route === "fork") {
+      return this.handleFork(req, user);
+    }
+    if (route === "merge") {
+      return this.handleMerge(req, user, canEdit(role));
+    }
+    if (route === "images") {
+      return this.handleImageUpload(req, user, canEdit(role));
+    }
+    if (route === "webhooks" || route.startsWith("webhooks/")) {
+      if (user.id !== this.roles?.owner) {
+        return new Response("Forbidden", { status: 403 });
+      }
+      return this.handleWebhooks(req, route.slice("webhooks/".length));
+    }
+    return new Response("Not found", { status: 404 });
+  }
+
+  /**
+   * Makes an HTTP edit to the live doc as `user`, between two versions.
+   * Connected editors get it like any other update. It's held to the same
+   * MAX_DOCUMENT_SIZE and schema as their changes.
+   * @returns A 413 or 422 response if the edit was refused, null if it was
+   *   made
+   */
+  async applyEdit(
+    user: Identity,
+    next: (current: Node) => Node
+  ): Promise<Response | null> {
+    const doc = await this.loadDoc();
+    const { maxDocumentSize } = limitsFromEnv(this.room.env);
+    let refusal: Response | null = null;
+    // Keep unsaved edits in the history before they're overwritten
+    this.versionRecorder?.snapshot();
+    const clientID = await editAs(doc, user.name, next, (fragment) => {
+      const checked = checkFragment(fragment);
+      if (checked.doc.content.size > maxDocumentSize) {
+        refusal = new Response(
+          `The document can't grow past ${maxDocumentSize} characters`,
+          { status: 413 }
+        );
+      } else if (checked.problems.length > 0) {
+        refusal = new Response(
+          "Content the editor doesn't support: " +
+            `${checked.problems.join("; ")}`,
+          { status: 422 }
+        );
+      }
+      return refusal === null;
+    });
+    if (clientID !== null) {
+      this.versionRecorder?.snapshot({ clientID, name: user.name });
+    }
+    return refusal;
+  }
+
+  /**
+   * GET returns the document as ProseMirror JSON, or as HTML, plain text or
+   * Markdown with `?format=html|text|markdown`. POST applies an edit (see
+   * editFromJSON).
+   */
+  async handleContent(req: Party.Request, user: Identity, mayEdit: boolean) {
+    if (req.method === "GET") {
+      return documentResponse(
+        documentAt(await this.loadDoc()),
+        new URL(req.url).searchParams.get("format")
+      );
+    }
+    if (req.method !== "POST") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    if (!mayEdit) {
+      return new Response("Forbidden", { status: 403 });
+    }
+    try {
+      const next = editFromJSON(await req.json());
+      if (next === null) {
+        return new Response("Expected { doc } or { steps }", { status: 400 });
+      }
+      const refusal = await this.applyEdit(user, next);
+      if (refusal !== null) return refusal;
+    } catch (err) {
+      return new Response(`Invalid edit: ${(err as Error).message}`, {
+        status: 400,
+      });
+    }
+    return Response.json({ doc: documentAt(await this.loadDoc()).toJSON() });
+  }
+
+  /**
+   * - `GET /versions`: every version's metadata, oldest first
+   * - `GET /versions/<date>`: a version's content, in any `?format=` that
+   *   /content supports
+   * - `GET /versions/diff?from=<date>&to=<date>`: what changed between two
+   *   versions, by whom. `to` defaults to the live document.
+   */
+  async handleVersions(req: Party.Request, path: string) {
+    if (req.method !== "GET") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    const doc = await this.loadDoc();
+    const versions = doc.getArray<Version>("versions").toArray();
+    const params = new URL(req.url).searchParams;
+    const find = (date: string | null) =>
+      versions.find((version) => String(version.date) === date);
+
+    if (path === "") {
+      return Response.json({ versions: versions.map(versionInfo) });
+    }
+    if (path === "diff") {
+      const from = find(params.get("from"));
+      const toParam = params.get("to");
+      const to = toParam === null || toParam === "live" ? null : find(toParam);
+      if (from === undefined || to === undefined) {
+        return new Response("Version not found", { status: 404 });
+      }
+      const diff = () =>
+        diffSnapshots(
+          doc,
+          this.permanentUserData as Y.PermanentUserData,
+          Y.decodeSnapshot(from.snapshot),
+          to === null ? Y.snapshot(doc) : Y.decodeSnapshot(to.snapshot)
+        );
+      // The live document keeps changing, so only diffs between versions
+      // are cached
+      return Response.json(
+        to === null
+          ? diff()
+          : this.historyCache.get(`diff:${from.date}:${to.date}`, diff)
+      );
+    }
+    const version = find(path);
+    if (version === undefined) {
+      return new Response("Version not found", { status: 404 });
+    }
+    return documentResponse(
+      this.renderVersion(doc, version),
+      params.get("format")
+    );
+  }
+
+  renderVersion(doc: Doc, version: Version) {
+    return this.historyCache.get(`version:${version.date}`, () =>
+      documentAt(doc, version.snapshot)
+    ) as Node;
+  }
+
+  /**
+   * Lets the room's owner manage its webhooks:
+   * - `GET /webhooks`: every webhook, without secrets
+   * - `POST /webhooks` with `{ url, events? }`: adds one, and returns it with
+   *   the secret its deliveries are signed with
+   * - `DELETE /webhooks/<id>`: removes one
+   */
+  async handleWebhooks(req: Party.Request, id: string) {
+    if (id === "" && req.method === "GET") {
+      return Response.json({ webhooks: this.webhooks.map(webhookInfo) });
+    }
+    if (id === "" && req.method === "POST") {
+      let fields;
+      try {
+        fields = webhookFromJSON(await req.json());
+      } catch {
+        fields = null;
+      }
+      if (fields === null) {
+        return new Response("Expected { url, events? }", { status: 400 });
+      }
+      const hook = createWebhook(fields);
+      this.webhooks = [...this.webhooks, hook];
+      await saveWebhooks(this.room.storage, this.webhooks);
+      return Response.json(hook, { status: 201 });
+    }
+    if (id !== "" && req.method === "DELETE") {
+      const webhooks = this.webhooks.filter((hook) => hook.id !== id);
+      if (webhooks.length === this.webhooks.length) {
+        return new Response("Webhook not found", { status: 404 });
+      }
+      this.webhooks = webhooks;
+      await saveWebhooks(this.room.storage, this.webhooks);
+      return new Response(null, { status: 204 });
+    }
+    return new Response("Method not allowed", { status: 405 });
+  }
+
+  /**
+   * POST /fork?from=<room>&version=<date> seeds a new room with a version of
+   * another, sent as a Yjs update (see forkUpdate). Only rooms can ask, on
+   * behalf of the user who becomes the fork's owner. Rooms that already have
+   * content refuse.
+   */
+  async handleFork(req: Party.Request, user: Identity) {
+    if (req.method !== "POST") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    // The update is applied as-is, so it has to come from forkVersion
+    if (!isFromRoom(req, this.room.env)) {
+      return new Response("Forbidden", { status: 403 });
+    }
+    const params = new URL(req.url).searchParams;
+    const from = params.get("from");
+    const version = Number(params.get("version"));
+    if (from === null || !Number.isFinite(version)) {
+      return new Response("Expected ?from=<room>&version=<date>", {
+        status: 400,
+      });
+    }
+    const doc = await this.loadDoc();
+    if (doc.store.clients.size > 0) {
+      return new Response("Room already has content", { status: 409 });
+    }
+    const update = new Uint8Array(await req.arrayBuffer());
+    // Read into a doc of its own first, so nothing invalid reaches this one
+    const seed = new Y.Doc({ gc: false });
+    try {
+      Y.applyUpdate(seed, update);
+    } catch {
+      return new Response("Expected a Yjs update", { status: 400 });
+    }
+    const { problems } = checkFragment(seed.getXmlFragment("prosemirror"));
+    seed.destroy();
+    if (problems.length > 0) {
+      return new Response(
+        `Content the editor doesn't support: ${problems.join("; ")}`,
+        { status: 422 }
+      );
+    }
+    Y.applyUpdate(doc, update, FORK_ORIGIN);
+    const source = {
+      room: from,
+      version,
+      forkedAt: Date.now(),
+      forkedBy: user.name,
+    };
+    setForkSource(doc, source);
+    // So the fork's history starts where it branched off
+    this.versionRecorder?.snapshot();
+    await this.reportToLobby({
+      room: this.room.id,
+      count: 0,
+      forkedFrom: { room: from, version },
+    });
+    return Response.json({ room: this.room.id, source }, { status: 201 });
+  }
+
+  /**
+   * Asks a new room to become a fork of `version`, as `user`
+   * @returns The new room's id, or null if there's no such version
+   */
+  async forkVersion(user: Identity, date: number) {
+    const doc = await this.loadDoc();
+    const version = doc
+      .getArray<Version>("versions")
+      .toArray()
+      .find((version) => version.date === date);
+    if (version === undefined) return null;
+    const room = crypto.randomUUID();
+    const params = new URLSearchParams({
+      from: this.room.id,
+      version: String(date),
+    });
+    // Requests between rooms skip onBeforeRequest, so we vouch for the user
+    const res = await this.room.context.parties.main.get(room).fetch(
+      `/fork?${params}`,
+      {
+        method: "POST",
+        headers: {
+          [IDENTITY_HEADER]: JSON.stringify(user),
+          ...roomSecretHeaders(this.room.env),
+        },
+        body: forkUpdate(doc, version),
+      }
+    );
+    if (!res.ok) {
+      throw new Error(`Couldn't create fork: ${await res.text()}`);
+    }
+    return room;
+  }
+
+  /**
+   * POST /merge?fork=<room> with a fork's state (see encodeMergeRequest)
+   * adds the fork's changes to this room's document as suggestions, for
+   * editors to accept or reject
+   */
+  async handleMerge(req: Party.Request, user: Identity, mayEdit: boolean) {
+    if (req.method !== "POST") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    if (!mayEdit) {
+      return new Response("Forbidden", { status: 403 });
+    }
+    const doc = await this.loadDoc();
+    let suggestions = 0;
+    try {
+      const request = decodeMergeRequest(
+        new Uint8Array(await req.arrayBuffer())
+      );
+      // Also throws for updates and states that don't decode
+      const refusal = await this.applyEdit(user, () => {
+        const result = mergeAsSuggestions(doc, request.update, request.since);
+        suggestions = result.suggestions;
+        return result.doc;
+      });
+      if (refusal !== null) return refusal;
+    } catch {
+      return new Response("Expected a fork's state", { status: 400 });
+    }
+    return Response.json({ suggestions });
+  }
+
+  /**
+   * Sends this fork's changes since its last merge to the room it was forked
+   * from, as `user`
+   * @returns How many suggestions that made
+   */
+  async mergeIntoSource(user: Identity) {
+    const doc = await this.loadDoc();
+    const source = forkSourceOf(doc);
+    if (source === null) {
+      throw new Error("This document isn't a fork");
+    }
+    const snapshot = Y.encodeSnapshot(Y.snapshot(doc));
+    const body = encodeMergeRequest(doc, lastMergeOf(doc));
+    const params = new URLSearchParams({ fork: this.room.id });
+    const res = await this.room.context.parties.main
+      .get(source.room)
+      .fetch(`/merge?${params}`, {
+        method: "POST",
+        headers: { [IDENTITY_HEADER]: JSON.stringify(user) },
+        body,
+      });
+    if (res.status === 403) {
+      throw new Error(`Only editors of ${source.room} can merge into it`);
+    }
+    if (!res.ok) {
+      throw new Error(`Couldn't merge: ${await res.text()}`);
+    }
+    const { suggestions } = (await res.json()) as { suggestions: number };
+    setLastMerge(doc, { date: Date.now(), snapshot });
+    return suggestions;
+  }
+
+  /**
+   * POST /images with an image as the body stores it for the room (editors
+   * only), and returns its `{ id, src }`. The type is read from the content:
+   * PNG, JPEG, GIF and WebP are accepted, up to IMAGE_MAX_BYTES.
+   */
+  async handleImageUpload(req: Party.Request, user: Identity, mayEdit: boolean) {
+    if (req.method !== "POST") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    if (!mayEdit) {
+      return new Response("Forbidden", { status: 403 });
+    }
+    const maxBytes = maxImageBytesFromEnv(this.room.env);
+    const tooLarge = () =>
+      new Response(`Images can be up to ${maxBytes} bytes`, { status: 413 });
+    if (Number(req.headers.get("Content-Length")) > maxBytes) {
+      return tooLarge();
+    }
+    const bytes = new Uint8Array(await req.arrayBuffer());
+    if (bytes.byteLength > maxBytes) {
+      return tooLarge();
+    }
+    const type = sniffImageType(bytes);
+    if (type === null) {
+      return new Response("Expected a PNG, JPEG, GIF or WebP image", {
+        status: 415,
+      });
+    }
+    const image = await saveImage(this.room.storage, bytes, type, user.name);
+    const url = new URL(req.url);
+    const roomPath = url.pathname.split("/").slice(0, 4).join("/");
+    return Response.json(
+      { id: image.id, src: `${url.origin}${roomPath}/${imagePath(image.id)}` },
+      { status: 201 }
+    );
+  }
+
+  async serveImage(id: string) {
+    const stored = await loadImage(this.room.storage, id);
+    if (stored === null) {
+      return new Response("Image not found", { status: 404 });
+    }
+    return new Response(stored.bytes, {
+      headers: {
+        "Content-Type": stored.image.type,
+        // An id always refers to the same bytes
+        "Cache-Control": "public, max-age=31536000, immutable",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  }
+
+  /**
+   * Deletes uploaded images that neither the live document nor any version
+   * shows, once they're older than UNREFERENCED_GRACE_MS
+   */
+  async cleanUpImages(doc: Doc) {
+    const images = await listImages(this.room.storage);
+    if (images.length === 0) return;
+    const referenced = imageIdsIn(documentAt(doc));
+    for (const version of doc.getArray<Version>("versions").toArray()) {
+      imageIdsIn(this.renderVersion(doc, version)).forEach((id) =>
+        referenced.add(id)
+      );
+    }
+    const cutoff = Date.now() - UNREFERENCED_GRACE_MS;
+    for (const image of images) {
+      if (!referenced.has(image.id) && image.uploadedAt < cutoff) {
+        await deleteImage(this.room.storage, image);
+      }
+    }
+  }
+
+  scheduleImageCleanUp(doc: Doc) {
+    this.cleanUpImages(doc).catch((err) =>
+      console.error("Failed to clean up images", err)
+    );
+  }
+
+  sendWebhook(event: WebhookEvent, data: Record<string, unknown>) {
+    this.webhookSender.send(this.webhooks, event, data);
+  }
+
+  /** Tells webhooks about a new version, with what changed since the last */
+  handleVersionAdded(doc: Doc, version: Version) {
+    if (this.webhooks.length === 0) return;
+    const versions = doc.getArray<Version>("versions").toArray();
+    const index = versions.findIndex(({ date }) => date === version.date);
+    const prev = index > 0 ? versions[index - 1] : undefined;
+    const diff = diffSnapshots(
+      doc,
+      this.permanentUserData as Y.PermanentUserData,
+      prev === undefined ? Y.emptySnapshot : Y.decodeSnapshot(prev.snapshot),
+      Y.decodeSnapshot(version.snapshot)
+    );
+    const data = {
+      version: versionInfo(version),
+      author: version.username,
+      summary: summarizeDiff(diff),
+      changes: diff.authors,
+    };
+    this.sendWebhook("version.created", data);
+    if (version.restoredFrom !== undefined) {
+      this.sendWebhook("document.restored", {
+        ...data,
+        restoredFrom: version.restoredFrom,
+      });
+    }
+  }
+
+  /**
+   * GET returns the document, or the version given by `?version=<date>`, as
+   * Markdown. POST replaces the document with the Markdown in the body, or
+   * appends it with `?mode=append`, as one change by the caller.
+   */
+  async handleMarkdown(req: Party.Request, user: Identity, mayEdit: boolean) {
+    const doc = await this.loadDoc();
+    const params = new URL(req.url).searchParams;
+    if (req.method === "GET") {
+      if (params.has("version")) {
+        const version = doc
+          .getArray<Version>("versions")
+          .toArray()
+          .find(({ date }) => date === Number(params.get("version")));
+        if (version === undefined) {
+          return new Response("Version not found", { status: 404 });
+        }
+        return documentResponse(this.renderVersion(doc, version), "markdown");
+      }
+      return documentResponse(documentAt(doc), "markdown");
+    }
+    if (req.method !== "POST") {
+      return new Response("Method not allowed", { status: 405 });
+    }
+    if (!mayEdit) {
+      return new Response("Forbidden", { status: 403 });
+    }
+    const imported = fromMarkdown(await req.text());
+    const append = params.get("mode") === "append";
+    const refusal = await this.applyEdit(user, (current) =>
+      append
+        ? current.copy(current.content.append(imported.content))
+        : imported
+    );
+    return refusal ?? Response.json({ ok: true });
+  }
+
+  async onConnect(
+    conn: Party.Connection<ConnectionState>,
+    ctx: Party.ConnectionContext
+  ) {
+    const user = identityFromRequest(ctx.request);
+    if (user === null) {
+      // onBeforeConnect should have turned this connection away already
+      conn.close(4001, "Unauthorized");
+      return;
+    }
+    const role = await this.roleFor(user);
+    conn.setState({ user, role });
+    conn.send(JSON.stringify({ type: "identity", user }));
+    this.sendRole(conn);
+    this.sendWebhook("user.joined", { user, role });
+    await this.updatePresence();
+    const doc = await unstable_getYDoc(this.room, this.getOpts());
+    this.bindDoc(doc);
+    this.guardConnection(conn, doc, canEdit(role));
+    // Registered before y-partykit's own close listener, so the doc is still
+    // alive (and persisting updates) when the last connection goes
+    conn.addEventListener("close", () => {
+      this.removeUploadsOf(doc, conn);
+      if (doc.conns.size <= 1 && doc === this.doc) {
+        this.versionRecorder?.handleLastDisconnect();
+        this.scheduleImageCleanUp(doc);
+        this.doc = null;
+        this.versionRecorder = null;
+      }
+    });
+    if (!canEdit(role)) this.dropDocumentUpdates(conn);
+    // y-partykit has a `readOnly` option too, but its options must be the
+    // same for every connection
+    await onConnect(conn, this.room, this.getOpts());
+  }
+
+  /**
+   * Removes the upload placeholders of a connection's user, when it was
+   * their last connection: nobody else can finish those uploads
+   */
+  removeUploadsOf(doc: SharedDoc, leaving: Party.Connection<ConnectionState>) {
+    const present = new Set<string>();
+    doc.conns.forEach((_, conn) => {
+      const user = (conn as Party.Connection<ConnectionState>).state?.user;
+      if (conn !== leaving && user) present.add(user.name);
+    });
+    removeAbandonedUploads(doc.getXmlFragment("prosemirror"), (name) =>
+      present.has(name)
+    );
+  }
+
+  /**
+   * Keeps a connection from changing the document: its updates are dropped
+   * before y-partykit sees them. It still syncs and shows its cursor.
+   */
+  dropDocumentUpdates(conn: Party.Connection<ConnectionState>) {
+    let inBatch = false;
+    conn.addEventListener("message", (event) => {
+      if (typeof event.data === "string") {
+        if (!event.data.startsWith(BATCH_PREFIX)) return;
+        // Only updates are big enough to be sent in chunks
+        inBatch = event.data.includes('"type":"start"');
+      } else if (!inBatch && !isDocumentUpdate(event.data)) {
+        return;
+      }
+      event.stopImmediatePropagation();
+    });
+  }
+
+  /**
+   * Enforces the room's limits on a connection. One that sends too much is
+   * closed before y-partykit sees the message, so it resyncs once it
+   * reconnects. An editor's changes are checked once they're applied:
+   * changes to the versions or past MAX_DOCUMENT_SIZE are undone, and
+   * content the schema doesn't allow is repaired. Only the blocks a change
+   * touched are read again, see FragmentChecker.
+   */
+  guardConnection(
+    conn: Party.Connection<ConnectionState>,
+    doc: SharedDoc,
+    mayEdit: boolean
+  ) {
+    const limits = limitsFromEnv(this.room.env);
+    const messages = new WindowCounter(limits.windowMs);
+    const bytes = new WindowCounter(limits.windowMs);
+    let closed = false;
+    // Registered before y-partykit's message listener
+    conn.addEventListener("message", (event) => {
+      const size =
+        typeof event.data === "string"
+          ? event.data.length
+          : event.data.byteLength;
+      if (
+        !closed &&
+        messages.add() <= limits.messagesPerWindow &&
+        bytes.add(size) <= limits.bytesPerWindow
+      ) {
+        return;
+      }
+      event.stopImmediatePropagation();
+      if (closed) return;
+      closed = true;
+      this.sendError(
+        conn,
+        "rate-limited",
+        `You sent too much too quickly (over ${limits.messagesPerWindow} ` +
+          `messages or ${limits.bytesPerWindow} bytes in ` +
+          `${limits.windowMs / 1000} seconds). Reconnecting…`
+      );
+      conn.close(4029, "Rate limit exceeded");
+    });
+    this.versionRequests.set(conn, new WindowCounter(60 * 1000));
+    if (!mayEdit) return;
+
+    const fragment = doc.getXmlFragment("prosemirror");
     const versions = doc.getArray<Version>("versions");
+    // Only the server writes who wrote what, comments and where a fork is from
+    const serverOwned: Y.AbstractType<any>[] = [
+      doc.getMap("users"),
+      doc.getMap("comments"),
+      doc.getMap("fork"),
+    ];
+    const checker =
+      this.fragmentCheckers.get(doc) ?? new FragmentChecker(fragment);
+    this.fragmentCheckers.set(doc, checker);
+    // Each of the connection's transactions is its own stack item, so undo
+    // reverts just the one being checked
+    const undoManager = new Y.UndoManager(
+      [fragment, versions, ...serverOwned],
+      {
+        trackedOrigins: new Set([conn]),
+        captureTimeout: 0,
+      }
+    );
+    undoManager.on("stack-item-added", ({ origin, changedParentTypes }) => {
+      // The undo manager tracks its own undos too
+      if (origin !== conn) {
+        undoManager.clear();
+        return;
+      }
+      if (changedParentTypes.has(versions)) {
+        undoManager.undo();
+        this.sendError(
+          conn,
+          "versions-read-only",
+          "Versions are taken by the server. Your change to them was undone."
+        );
+      } else if (serverOwned.some((type) => changedParentTypes.has(type))) {
+        undoManager.undo();
+        this.sendError(
+          conn,
+          "read-only",
+          "Authors, comments and forks are kept by the server. Your change " +
+            "to them was undone."
+        );
+      } else {
+        const checked = checker.check();
+        if (checked.doc.content.size > limits.maxDocumentSize) {
+          undoManager.undo();
+          this.sendError(
+            conn,
+            "document-too-large",
+            `The document can't grow past ${limits.maxDocumentSize} ` +
+              "characters. Your last change was undone."
+          );
+        } else if (checked.problems.length > 0) {
+          repairFragment(fragment, checked.doc);
+          this.sendError(
+            conn,
+            "invalid-content",
+            "Removed content the editor doesn't support: " +
+              `${checked.problems.join("; ")}.`
+          );
+        }
+      }
+      undoManager.clear();
+    });
+    conn.addEventListener("close", () => undoManager.destroy());
+  }
+
+  /** Tells a client why the server refused or changed what it sent */
+  sendError(
+    conn: Party.Connection<ConnectionState>,
+    code: LimitErrorCode,
+    message: string
+  ) {
+    conn.send(JSON.stringify({ type: "error", code, message }));
+  }
+
+  async onClose(conn: Party.Connection<ConnectionState>) {
+    if (conn.state) {
+      this.sendWebhook("user.left", { user: conn.state.user });
+    }
+    await this.updatePresence();
+  }
+
+  async onMessage(
+    message: string | ArrayBuffer | ArrayBufferView,
+    sender: Party.Connection<ConnectionState>
+  ) {
+    // Yjs sync and awareness use binary frames, our own messages are JSON
+    if (typeof message !== "string" || !sender.state) return;
+    // y-partykit sends updates over 1 MB in chunks, between string markers
+    if (message.startsWith(BATCH_PREFIX)) return;
+    const data = parseControlMessage(message);
+    if (data === null) return;
+    if (data.type === "set-role" || data.type === "set-default-role") {
+      await this.handleRoleChange(data, sender);
+      return;
+    }
+    if (data.type === "comment") {
+      // Commenters are read-only as far as Yjs is concerned, so the server
+      // applies comment changes for them, signed with the verified name
+      if (!canComment(sender.state.role) || this.doc === null) return;
+      const result = applyCommentAction(this.doc, data, sender.state.user.name);
+      if ("error" in result) {
+        sender.send(JSON.stringify({ type: "comment", error: result.error }));
+      }
+      return;
+    }
+    if (data.type === "fork") {
+      // Anyone who can read a version may copy it into a room of their own
+      const room = await this.forkVersion(
+        sender.state.user,
+        Number(data.date)
+      ).catch((err) => {
+        console.error("Failed to fork", err);
+        return null;
+      });
+      sender.send(JSON.stringify({ type: "fork", room }));
+      return;
+    }
+    // Everything below changes the document's history
+    if (!canEdit(sender.state.role)) return;
+    if (data.type === "merge-fork") {
+      try {
+        const suggestions = await this.mergeIntoSource(sender.state.user);
+        sender.send(JSON.stringify({ type: "merge-fork", suggestions }));
+      } catch (err) {
+        sender.send(
+          JSON.stringify({ type: "merge-fork", error: (err as Error).message })
+        );
+      }
+      return;
+    }
+    const requester = this.authorOf(sender) ?? undefined;
+    const versionRequests = this.versionRequests.get(sender);
+    if (VERSION_REQUESTS.includes(data.type) && versionRequests) {
+      const limit = limitsFromEnv(this.room.env).versionsPerMinute;
+      if (versionRequests.count() >= limit) {
+        this.sendError(
+          sender,
+          "too-many-versions",
+          `You can take up to ${limit} versions a minute. Try again shortly.`
+        );
+        return;
+      }
+      versionRequests.add();
+    }
+    if (data.type === "snapshot") {
+      const added = this.versionRecorder?.snapshot(requester) ?? false;
+      if (!data.quiet) {
+        sender.send(JSON.stringify({ type: "snapshot", added }));
+      }
+    } else if (data.type === "restored") {
+      // The client has already rewritten the document (its Yjs update arrived
+      // before this message), so this records the restore as a version
+      this.versionRecorder?.snapshot(requester, {
+        restoredFrom: Number(data.from),
+      });
+    } else if (
+      data.type === "offline-sync" &&
+      Number.isFinite(data.since) &&
+      Number.isFinite(data.until)
+    ) {
+      // The client's offline edits arrived before this message
+      this.versionRecorder?.snapshot(requester, {
+        offline: { since: data.since, until: data.until },
+      });
+    } else if (data.type === "label-version" && this.doc !== null) {
+      labelVersion(this.doc, Number(data.date), {
+        name: typeof data.name === "string" ? data.name : undefined,
+        pinned: typeof data.pinned === "boolean" ? data.pinned : undefined,
+      });
+    }
+  }
 
-    // Convert all versions to their prosemirror text content and usernames
-    const states = versions.toArray().map(version => {
-      const snapshot = version.snapshot;
-      if (snapshot) {
-        const state = Y.createDocFromSnapshot(doc, Y.decodeSnapshot(snapshot));
-        return {
-          state: state.getXmlFragment("prosemirror").toString(),
-          username: version.username,
-          timestamp: version.date
-        };
+  /** Lets the room's owner assign roles to users, or change the default */
+  async handleRoleChange(
+    data: { type: string; userId?: unknown; role?: unknown },
+    sender: Party.Connection<ConnectionState>
+  ) {
+    if (this.roles === null || sender.state?.user.id !== this.roles.owner) {
+      return;
+    }
+    if (data.type === "set-default-role" && isRole(data.role)) {
+      this.roles.defaultRole = data.role;
+    } else if (data.type === "set-role" && typeof data.userId === "string") {
+      if (isRole(data.role)) {
+        this.roles.members[data.userId] = data.role;
+      } else {
+        // Anything else (e.g. null) puts the user back on the default role
+        delete this.roles.members[data.userId];
       }
-      return null;
-    }).filter(Boolean);
+    } else {
+      return;
+    }
+    await saveRoles(this.room.storage, this.roles);
+
+    for (const conn of this.room.getConnections<ConnectionState>()) {
+      if (!conn.state) continue;
+      if (roleOf(this.roles, conn.state.user.id) !== conn.state.role) {
+        // Write access is fixed when y-partykit accepts a connection, so make
+        // the client reconnect with its new role
+        conn.close(4003, "Role changed");
+      } else {
+        this.sendRole(conn);
+      }
+    }
+  }
 
-    console.log(states);
+  /** Tells a client its role, and the owner everyone else's */
+  sendRole(conn: Party.Connection<ConnectionState>) {
+    if (this.roles === null || !conn.state) return;
+    const owner = conn.state.user.id === this.roles.owner;
+    conn.send(
+      JSON.stringify({
+        type: "role",
+        role: conn.state.role,
+        owner,
+        roles: owner ? this.roles : undefined,
+      })
+    );
   }
 
-  async updateCount() {
+  async handleYDocChange(doc: Doc) {
+    doc.gc = false;
+    this.versionRecorder?.handleDocChange();
+    if (pruneVersions(doc, retentionPolicyFromEnv(this.room.env)) > 0) {
+      // Images only the removed versions showed can go
+      this.scheduleImageCleanUp(doc);
+    }
+    await this.compactIfDue();
+  }
+
+  async compactIfDue() {
+    const now = Date.now();
+    if (now - this.lastCompaction < COMPACTION_INTERVAL_MS) return;
+    this.lastCompaction = now;
+    // Merges the update log into a single entry once it grows past the
+    // maxUpdates/maxBytes limits in PERSISTENCE
+    const doc = await this.loadDoc();
+    await doc.compactUpdateLog();
+  }
+
+  bindDoc(doc: SharedDoc) {
+    if (doc === this.doc) return;
+    this.doc = doc;
+    const log = doc.storage;
+    if (log !== undefined) {
+      // Also what y-partykit calls once the last connection closes
+      doc.compactUpdateLog = () =>
+        compactDocument(doc, log, doc.name, PERSISTENCE);
+    }
+    // Nobody's connected to a room that's just loaded, so nobody is
+    // uploading to it either
+    removeAbandonedUploads(doc.getXmlFragment("prosemirror"), () => false);
+    const permanentUserData = new Y.PermanentUserData(doc);
+    this.permanentUserData = permanentUserData;
+    doc.on("afterTransaction", (transaction: Y.Transaction) => {
+      const author = this.authorOf(transaction.origin);
+      if (author !== null) {
+        recordAuthor(permanentUserData, author.name, transaction);
+      }
+    });
+    this.versionRecorder = new VersionRecorder(
+      doc,
+      snapshotPolicyFromEnv(this.room.env),
+      (origin) => this.authorOf(origin),
+      (version) => this.handleVersionAdded(doc, version)
+    );
+    doc.awareness.on(
+      "change",
+      ({ added, updated, removed }: AwarenessChange) => {
+        const now = Date.now();
+        added.concat(updated).forEach((id) => this.lastActive.set(id, now));
+        removed.forEach((id) => this.lastActive.delete(id));
+        this.schedulePresenceUpdate();
+      }
+    );
+  }
+
+  schedulePresenceUpdate() {
+    if (this.presenceTimer !== null) return;
+    this.presenceTimer = setTimeout(() => {
+      this.presenceTimer = null;
+      this.updatePresence().catch((err) =>
+        console.error("Failed to report presence", err)
+      );
+    }, PRESENCE_THROTTLE_MS);
+  }
+
+  /**
+   * The verified user behind a connection. Client updates are applied with
+   * their connection as transaction origin.
+   */
+  authorOf(origin: unknown): Author | null {
+    if (this.doc === null) return null;
+    const conn = origin as Party.Connection<ConnectionState>;
+    const clientIDs = this.doc.conns.get(conn);
+    const user = conn?.state?.user;
+    if (!clientIDs || !user) return null;
+    // The awareness clientID is the client's doc clientID, which the client
+    // uses to color the user's versions
+    const [clientID = 0] = clientIDs;
+    return { clientID, name: user.name };
+  }
+
+  /**
+   * Every awareness client in the room, named after the verified user of the
+   * connection that controls it rather than whatever it claims in `user`
+   */
+  getPresentUsers(): PresenceUpdateUser[] {
+    if (this.doc === null) return [];
+    const users: PresenceUpdateUser[] = [];
+    this.doc.conns.forEach((clientIDs, conn) => {
+      const user = (conn as Party.Connection<ConnectionState>).state?.user;
+      if (!user) return;
+      clientIDs.forEach((clientID) => {
+        users.push({
+          clientID,
+          name: user.name,
+          lastActiveAt: this.lastActive.get(clientID) ?? Date.now(),
+        });
+      });
+    });
+    return users;
+  }
+
+  async updatePresence() {
     // Count the number of live connections
     const count = [...this.room.getConnections()].length;
-    // Send the count to the 'rooms' party using HTTP POST
+    // Send the count and named users to the 'rooms' party
+    await this.reportToLobby({
+      room: this.room.id,
+      count,
+      users: this.getPresentUsers(),
+    });
+  }
+
+  /** POSTs to the 'rooms' party, which only takes reports from rooms */
+  async reportToLobby(body: Record<string, unknown>) {
     await this.room.context.parties.rooms.get(SINGLETON_ROOM_ID).fetch({
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ 
-        room: this.room.id, 
-        count,
-      }),
+      headers: {
+        "Content-Type": "application/json",
+        ...roomSecretHeaders(this.room.env),
+      },
+      body: JSON.stringify(body),
     });
   }
 }
+
+EditorServer satisfies Party.Worker;
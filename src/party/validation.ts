@@ -0,0 +1,195 @@
+import * as Y from "yjs";
+import { prosemirrorToYXmlFragment } from "y-prosemirror";
+import {
+  Fragment,
+  type Mark,
+  type Node,
+  type NodeType,
+} from "prosemirror-model";
+import { schema } from "../schema.js";
+
+/** Transaction origin for the server's repairs to invalid content */
+export const VALIDATION_ORIGIN = "validation";
+
+/** A document's `prosemirror` fragment, read against the schema */
+export type FragmentCheck = {
+  /** The content, leaving out whatever the schema doesn't allow */
+  doc: Node;
+  /** What was left out, empty if the fragment is valid */
+  problems: string[];
+};
+
+const textNodes = (text: Y.XmlText, problems: Set<string>): Node[] => {
+  const nodes: Node[] = [];
+  for (const op of text.toDelta() as {
+    insert: unknown;
+    attributes?: Record<string, Record<string, unknown>>;
+  }[]) {
+    if (typeof op.insert !== "string") {
+      problems.add("embeds in text");
+      continue;
+    }
+    const marks: Mark[] = [];
+    for (const [name, attrs] of Object.entries(op.attributes ?? {})) {
+      const markType = schema.marks[name];
+      try {
+        if (markType === undefined) throw new Error();
+        marks.push(markType.create(attrs));
+      } catch {
+        problems.add(`unknown mark "${name}"`);
+      }
+    }
+    if (op.insert !== "") nodes.push(schema.text(op.insert, marks));
+  }
+  return nodes;
+};
+
+/**
+ * Keeps the children `parent` can hold, in order, with only the marks it
+ * allows, and adds any it requires
+ */
+const fitContent = (
+  parent: NodeType,
+  children: Node[],
+  problems: Set<string>
+): Node[] => {
+  const fitted: Node[] = [];
+  let match = parent.contentMatch;
+  for (const child of children) {
+    const next = match.matchType(child.type);
+    if (next === null) {
+      problems.add(`"${child.type.name}" inside "${parent.name}"`);
+      continue;
+    }
+    match = next;
+    const marks = child.marks.filter((mark) => parent.allowsMarkType(mark.type));
+    if (marks.length < child.marks.length) {
+      problems.add(`marks inside "${parent.name}"`);
+      fitted.push(child.mark(marks));
+    } else {
+      fitted.push(child);
+    }
+  }
+  if (!match.validEnd) {
+    problems.add(`missing content in "${parent.name}"`);
+    match.fillBefore(Fragment.empty, true)?.forEach((node) => fitted.push(node));
+  }
+  return fitted;
+};
+
+type Child = Y.XmlElement | Y.XmlText | Y.XmlHook;
+
+/** The nodes a child of a fragment or element reads as, before fitting */
+const childNode = (child: Child, problems: Set<string>): Node[] => {
+  if (child instanceof Y.XmlText) return textNodes(child, problems);
+  const nodeType =
+    child instanceof Y.XmlElement ? schema.nodes[child.nodeName] : undefined;
+  if (
+    !(child instanceof Y.XmlElement) ||
+    nodeType === undefined ||
+    nodeType === schema.topNodeType ||
+    nodeType.isText
+  ) {
+    problems.add(
+      child instanceof Y.XmlElement
+        ? `unknown node "${child.nodeName}"`
+        : "XML hooks"
+    );
+    return [];
+  }
+  const attrs = child.getAttributes();
+  if (
+    Object.keys(attrs).some((name) => nodeType.spec.attrs?.[name] === undefined)
+  ) {
+    problems.add(`unknown attributes on "${nodeType.name}"`);
+  }
+  try {
+    return [nodeType.create(attrs, childNodes(child, nodeType, problems))];
+  } catch {
+    // Missing a required attribute
+    problems.add(`"${nodeType.name}" without its required attributes`);
+    return [];
+  }
+};
+
+const childNodes = (
+  type: Y.XmlFragment | Y.XmlElement,
+  parent: NodeType,
+  problems: Set<string>
+): Node[] =>
+  fitContent(
+    parent,
+    (type.toArray() as Child[]).flatMap((child) => childNode(child, problems)),
+    problems
+  );
+
+/**
+ * Reads the `prosemirror` fragment the way the editor would, without
+ * changing it. y-prosemirror throws away elements it can't render when a
+ * client loads them, but keeps content in places the schema doesn't allow
+ * it, so clients can end up with invalid documents.
+ */
+export function checkFragment(fragment: Y.XmlFragment): FragmentCheck {
+  const problems = new Set<string>();
+  const doc = schema.topNodeType.create(
+    null,
+    childNodes(fragment, schema.topNodeType, problems)
+  );
+  return { doc, problems: [...problems] };
+}
+
+/**
+ * checkFragment for a fragment that keeps changing, such as a live room's.
+ * It remembers what each top-level block read as, and only reads the blocks
+ * that changed since the last check again.
+ */
+export class FragmentChecker {
+  blocks = new WeakMap<Child, { nodes: Node[]; problems: string[] }>();
+
+  constructor(public fragment: Y.XmlFragment) {
+    fragment.observeDeep(this.forgetChanged);
+  }
+
+  forgetChanged = (events: Y.YEvent<any>[]) => {
+    for (const { target } of events) {
+      let block: Y.AbstractType<any> | null = target;
+      while (block !== null && block.parent !== this.fragment) {
+        block = block.parent;
+      }
+      if (block !== null) this.blocks.delete(block as Child);
+    }
+  };
+
+  check(): FragmentCheck {
+    const problems = new Set<string>();
+    const nodes = (this.fragment.toArray() as Child[]).flatMap((child) => {
+      let block = this.blocks.get(child);
+      if (block === undefined) {
+        const blockProblems = new Set<string>();
+        block = {
+          nodes: childNode(child, blockProblems),
+          problems: [...blockProblems],
+        };
+        this.blocks.set(child, block);
+      }
+      block.problems.forEach((problem) => problems.add(problem));
+      return block.nodes;
+    });
+    const doc = schema.topNodeType.create(
+      null,
+      fitContent(schema.topNodeType, nodes, problems)
+    );
+    return { doc, problems: [...problems] };
+  }
+}
+
+/**
+ * Rewrites the fragment to the content checkFragment read from it. Only the
+ * parts that differ change, so valid content keeps its history.
+ */
+export function repairFragment(fragment: Y.XmlFragment, doc: Node) {
+  (fragment.doc as Y.Doc).transact(
+    () => prosemirrorToYXmlFragment(doc, fragment),
+    VALIDATION_ORIGIN
+  );
+}
@@ -0,0 +1,310 @@
+import * as Y from "yjs";
+
+export type Version = {
+  date: number;
+  snapshot: Uint8Array;
+  clientID: number;
+  username: string;
+  /** `date` of the version this one restored the document to */
+  restoredFrom?: number;
+  /** Created by the SnapshotPolicy rather than on request */
+  auto?: boolean;
+  /** A milestone label such as "Sent to legal" */
+  name?: string;
+  /** Pinned versions are never removed by the RetentionPolicy */
+  pinned?: boolean;
+  /**
+   * The version includes edits a client made offline between these times,
+   * by its own clock
+   */
+  offline?: { since: number; until: number };
+};
+
+/** Fields a client may set on an existing version */
+export type VersionLabel = Pick<Version, "name" | "pinned">;
+
+export type SnapshotPolicy = {
+  /** Snapshot once the document has been quiet this long (0 disables) */
+  idleMs: number;
+  /** Snapshot after this many changes to the document (0 disables) */
+  maxChanges: number;
+  /** Snapshot when the last client disconnects */
+  onLastDisconnect: boolean;
+};
+
+/** A number from the room's environment, or `fallback` if it isn't set */
+export const envNumber = (value: unknown, fallback: number) =>
+  value === undefined || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+export const DEFAULT_SNAPSHOT_POLICY: SnapshotPolicy = {
+  idleMs: 30 * 1000,
+  maxChanges: 100,
+  onLastDisconnect: true,
+};
+
+/**
+ * Reads SNAPSHOT_IDLE_MS, SNAPSHOT_MAX_CHANGES and SNAPSHOT_ON_LAST_DISCONNECT
+ * from the room's environment (partykit.json#vars, --var or .env)
+ */
+export function snapshotPolicyFromEnv(
+  env: Record<string, unknown>
+): SnapshotPolicy {
+  return {
+    idleMs: envNumber(env.SNAPSHOT_IDLE_MS, DEFAULT_SNAPSHOT_POLICY.idleMs),
+    maxChanges: envNumber(
+      env.SNAPSHOT_MAX_CHANGES,
+      DEFAULT_SNAPSHOT_POLICY.maxChanges
+    ),
+    onLastDisconnect:
+      env.SNAPSHOT_ON_LAST_DISCONNECT === undefined
+        ? DEFAULT_SNAPSHOT_POLICY.onLastDisconnect
+        : String(env.SNAPSHOT_ON_LAST_DISCONNECT) !== "false",
+  };
+}
+
+export type RetentionPolicy = {
+  /** Older automatic versions are thinned to one per hour (0 disables) */
+  hourlyAfterMs: number;
+  /** Older automatic versions are thinned to one per day (0 disables) */
+  dailyAfterMs: number;
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_RETENTION_POLICY: RetentionPolicy = {
+  hourlyAfterMs: DAY,
+  dailyAfterMs: 7 * DAY,
+};
+
+/**
+ * Reads RETENTION_HOURLY_AFTER_MS and RETENTION_DAILY_AFTER_MS from the
+ * room's environment
+ */
+export function retentionPolicyFromEnv(
+  env: Record<string, unknown>
+): RetentionPolicy {
+  return {
+    hourlyAfterMs: envNumber(
+      env.RETENTION_HOURLY_AFTER_MS,
+      DEFAULT_RETENTION_POLICY.hourlyAfterMs
+    ),
+    dailyAfterMs: envNumber(
+      env.RETENTION_DAILY_AFTER_MS,
+      DEFAULT_RETENTION_POLICY.dailyAfterMs
+    ),
+  };
+}
+
+/** Transaction origin for versions written by the server */
+export const VERSION_ORIGIN = "versions";
+
+/** Someone whose edits went into a version */
+export type Author = {
+  clientID: number;
+  name: string;
+};
+
+/**
+ * Appends a version unless the prosemirror content is unchanged since the
+ * last one. Compares rendered content rather than state vectors, so writes
+ * to `versions` and `users` never count as changes.
+ * @returns Whether a new version was added
+ */
+export function addVersion(
+  doc: Y.Doc,
+  authors: Author[],
+  details: Pick<Version, "restoredFrom" | "auto" | "offline"> = {}
+): boolean {
+  const versions = doc.getArray<Version>("versions");
+  const fragment = doc.getXmlFragment("prosemirror");
+  const content = fragment.toString();
+  if (content.length === 0) return false;
+
+  const prevVersion =
+    versions.length === 0 ? null : versions.get(versions.length - 1);
+  if (prevVersion !== null) {
+    const prevDoc = Y.createDocFromSnapshot(
+      doc,
+      Y.decodeSnapshot(prevVersion.snapshot)
+    );
+    const unchanged =
+      prevDoc.getXmlFragment("prosemirror").toString() === content;
+    prevDoc.destroy();
+    if (unchanged) return false;
+  }
+
+  doc.transact(() => {
+    versions.push([
+      {
+        date: Date.now(),
+        snapshot: Y.encodeSnapshot(Y.snapshot(doc)),
+        // The client uses this for the version's color
+        clientID: authors.length > 0 ? authors[0].clientID : doc.clientID,
+        username:
+          authors.length > 0
+            ? authors.map((author) => author.name).join(", ")
+            : "Server",
+        ...details,
+      },
+    ]);
+  }, VERSION_ORIGIN);
+  return true;
+}
+
+/**
+ * Renames, pins or unpins the version created at `date`
+ * @returns Whether the version exists
+ */
+export function labelVersion(
+  doc: Y.Doc,
+  date: number,
+  label: VersionLabel
+): boolean {
+  const versions = doc.getArray<Version>("versions");
+  const index = versions.toArray().findIndex((version) => version.date === date);
+  if (index === -1) return false;
+  const version = { ...versions.get(index) };
+  if (label.name !== undefined) {
+    version.name = label.name.trim() || undefined;
+  }
+  if (label.pinned !== undefined) {
+    version.pinned = label.pinned;
+  }
+  // Array entries are immutable, so replace it in place
+  doc.transact(() => {
+    versions.delete(index, 1);
+    versions.insert(index, [version]);
+  }, VERSION_ORIGIN);
+  return true;
+}
+
+/**
+ * Thins old, unpinned automatic versions: older than `hourlyAfterMs` only the
+ * latest per hour is kept, older than `dailyAfterMs` only the latest per day.
+ * The latest version is always kept.
+ * @returns The number of versions removed
+ */
+export function pruneVersions(
+  doc: Y.Doc,
+  policy: RetentionPolicy,
+  now = Date.now()
+): number {
+  const versions = doc.getArray<Version>("versions").toArray();
+  const keptBuckets = new Set<string>();
+  const remove: number[] = [];
+  // Newest first, so the latest version in each bucket is the one we keep
+  for (let i = versions.length - 2; i >= 0; i--) {
+    const version = versions[i];
+    if (!version.auto || version.pinned) continue;
+    const age = now - version.date;
+    let bucket: string | null = null;
+    if (policy.dailyAfterMs > 0 && age > policy.dailyAfterMs) {
+      bucket = `d${Math.floor(version.date / DAY)}`;
+    } else if (policy.hourlyAfterMs > 0 && age > policy.hourlyAfterMs) {
+      bucket = `h${Math.floor(version.date / HOUR)}`;
+    }
+    if (bucket === null) continue;
+    if (keptBuckets.has(bucket)) {
+      remove.push(i);
+    } else {
+      keptBuckets.add(bucket);
+    }
+  }
+  if (remove.length > 0) {
+    const array = doc.getArray<Version>("versions");
+    // `remove` is in descending order, so earlier indexes stay valid
+    doc.transact(() => {
+      remove.forEach((index) => array.delete(index, 1));
+    }, VERSION_ORIGIN);
+  }
+  return remove.length;
+}
+
+/**
+ * Decides when to snapshot a document according to a SnapshotPolicy, and
+ * remembers who edited it since the last version.
+ */
+export class VersionRecorder {
+  changes = 0;
+  authors = new Map<string, Author>();
+  idleTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(
+    public doc: Y.Doc,
+    public policy: SnapshotPolicy,
+    // Resolves a transaction origin (usually a Party.Connection) to its user
+    public authorOf: (origin: unknown) => Author | null,
+    // Called with every version this recorder adds
+    public onVersion: (version: Version) => void = () => {}
+  ) {
+    doc.getXmlFragment("prosemirror").observeDeep(this.handleFragmentChange);
+  }
+
+  handleFragmentChange = (_: unknown, tr: Y.Transaction) => {
+    this.changes++;
+    const author = this.authorOf(tr.origin);
+    if (author !== null) this.authors.set(author.name, author);
+    this.clearIdleTimer();
+  };
+
+  /** Call from the (debounced) doc change callback */
+  handleDocChange() {
+    if (this.changes === 0) return;
+    if (this.policy.maxChanges > 0 && this.changes >= this.policy.maxChanges) {
+      this.snapshot(undefined, { auto: true });
+      return;
+    }
+    if (this.policy.idleMs > 0) {
+      this.clearIdleTimer();
+      this.idleTimer = setTimeout(
+        () => this.snapshot(undefined, { auto: true }),
+        this.policy.idleMs
+      );
+    }
+  }
+
+  handleLastDisconnect() {
+    if (this.policy.onLastDisconnect && this.changes > 0) {
+      this.snapshot(undefined, { auto: true });
+    }
+    this.destroy();
+  }
+
+  /**
+   * @param requester Credits a manual snapshot to whoever asked for it
+   * @returns Whether a new version was added
+   */
+  snapshot(
+    requester?: Author,
+    details?: Pick<Version, "restoredFrom" | "auto" | "offline">
+  ) {
+    this.clearIdleTimer();
+    const authors = [...this.authors.values()];
+    if (requester && !this.authors.has(requester.name)) {
+      authors.unshift(requester);
+    }
+    const added = addVersion(this.doc, authors, details);
+    if (added) {
+      this.changes = 0;
+      this.authors.clear();
+      const versions = this.doc.getArray<Version>("versions");
+      this.onVersion(versions.get(versions.length - 1));
+    }
+    return added;
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer !== null) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  destroy() {
+    this.clearIdleTimer();
+    this.doc
+      .getXmlFragment("prosemirror")
+      .unobserveDeep(this.handleFragmentChange);
+  }
+}
@@ -0,0 +1,170 @@
+import type * as Party from "partykit/server";
+import type { Diff } from "./history";
+
+export const WEBHOOK_EVENTS = [
+  "version.created",
+  "document.restored",
+  "user.joined",
+  "user.left",
+] as const;
+
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+
+/** An endpoint that room activity is POSTed to, stored in the room's storage */
+export type Webhook = {
+  id: string;
+  url: string;
+  /** Key for the signature header, see signPayload */
+  secret: string;
+  /** Events to deliver, or every event if empty */
+  events: WebhookEvent[];
+};
+
+const STORAGE_KEY = "webhooks";
+
+/**
+ * `sha256=` and the hex HMAC-SHA256 of the request body, keyed with the
+ * webhook's secret
+ */
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+/** Wait before each retry of a failed delivery. It's dropped after the last. */
+export const RETRY_DELAYS_MS = [1000, 10 * 1000, 60 * 1000];
+
+const encoder = new TextEncoder();
+
+export const isWebhookEvent = (value: unknown): value is WebhookEvent =>
+  WEBHOOK_EVENTS.includes(value as WebhookEvent);
+
+export async function loadWebhooks(storage: Party.Storage) {
+  return (await storage.get<Webhook[]>(STORAGE_KEY)) ?? [];
+}
+
+export async function saveWebhooks(storage: Party.Storage, hooks: Webhook[]) {
+  await storage.put(STORAGE_KEY, hooks);
+}
+
+/**
+ * Reads `{ url, events? }` from a request body, for a new webhook
+ * @returns null unless `url` is http(s) and `events` lists known events
+ */
+export function webhookFromJSON(
+  body: unknown
+): Pick<Webhook, "url" | "events"> | null {
+  if (typeof body !== "object" || body === null || !("url" in body)) {
+    return null;
+  }
+  let url: URL;
+  try {
+    url = new URL(String(body.url));
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+  const events = "events" in body ? body.events : [];
+  if (!Array.isArray(events) || !events.every(isWebhookEvent)) return null;
+  return { url: url.toString(), events };
+}
+
+/** A webhook as the API lists it, without its secret */
+export const webhookInfo = ({ secret: _, ...info }: Webhook) => info;
+
+export function createWebhook(
+  fields: Pick<Webhook, "url" | "events">
+): Webhook {
+  const secret = [...crypto.getRandomValues(new Uint8Array(32))]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return { id: crypto.randomUUID(), secret, ...fields };
+}
+
+/** Receivers recompute this over the raw body to check a delivery is ours */
+export async function signPayload(secret: string, body: string) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(body));
+  return [...new Uint8Array(signature)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const characters = (count: number) =>
+  `${count} ${count === 1 ? "character" : "characters"}`;
+
+/** One line per author, e.g. "Alice added 12 characters and removed 3 characters" */
+export function summarizeDiff(diff: Diff): string {
+  if (diff.authors.length === 0) return "No changes";
+  return diff.authors
+    .map(({ user, inserted, deleted }) => {
+      const parts = [];
+      if (inserted > 0) parts.push(`added ${characters(inserted)}`);
+      if (deleted > 0) parts.push(`removed ${characters(deleted)}`);
+      return `${user} ${parts.join(" and ")}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Delivers events to a room's webhooks. Deliveries that fail (network errors
+ * and non-2xx responses) are retried after each of `retryDelays`. Retries
+ * are kept in memory, so they're lost if the room shuts down first.
+ */
+export class WebhookSender {
+  constructor(
+    public room: string,
+    public retryDelays = RETRY_DELAYS_MS,
+    // Called as a method, workerd's fetch throws "Illegal invocation"
+    public fetcher: typeof fetch = (input, init) => fetch(input, init)
+  ) {}
+
+  /** Sends `event` with `data` to every webhook subscribed to it */
+  send(hooks: Webhook[], event: WebhookEvent, data: Record<string, unknown>) {
+    const body = JSON.stringify({
+      event,
+      room: this.room,
+      date: Date.now(),
+      ...data,
+    });
+    hooks
+      .filter((hook) => hook.events.length === 0 || hook.events.includes(event))
+      .forEach((hook) => {
+        this.deliver(hook, event, body, 0).catch((err) =>
+          console.error(`Webhook ${hook.id} failed`, err)
+        );
+      });
+  }
+
+  async deliver(hook: Webhook, event: WebhookEvent, body: string, attempt: number) {
+    let failure: string;
+    try {
+      const res = await this.fetcher(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Event": event,
+          "X-Webhook-Id": hook.id,
+          [SIGNATURE_HEADER]: `sha256=${await signPayload(hook.secret, body)}`,
+        },
+        body,
+      });
+      if (res.ok) return;
+      failure = `HTTP ${res.status}`;
+    } catch (err) {
+      failure = String(err);
+    }
+    if (attempt >= this.retryDelays.length) {
+      console.error(`Webhook ${hook.id} gave up on ${event}: ${failure}`);
+      return;
+    }
+    setTimeout(() => {
+      this.deliver(hook, event, body, attempt + 1).catch((err) =>
+        console.error(`Webhook ${hook.id} failed`, err)
+      );
+    }, this.retryDelays[attempt]);
+  }
+}
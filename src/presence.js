@@ -0,0 +1,255 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { relativePositionToAbsolutePosition, ySyncPluginKey } from "y-prosemirror";
+import { html, render } from "lit-html";
+import { getUserColor } from "./colors.js";
+
+// No input for this long and we show as idle to everyone else
+const IDLE_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} Presence
+ * @property {number} clientID
+ * @property {string} name
+ * @property {string} color
+ * @property {boolean} idle
+ * @property {string|null} heading Text of the heading their cursor is under
+ * @property {number|null} head Their cursor in our document
+ */
+
+/**
+ * Where a remote cursor is in our document. Null while we're showing a
+ * version, since positions then refer to the rendered diff rather than the
+ * live document.
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {any} cursor The `cursor` field yCursorPlugin sets in awareness
+ * @returns {number|null}
+ */
+const headOf = (editorview, cursor) => {
+  const ystate = ySyncPluginKey.getState(editorview.state);
+  if (
+    cursor == null ||
+    ystate.snapshot != null ||
+    ystate.prevSnapshot != null ||
+    ystate.binding.mapping.size === 0
+  ) {
+    return null;
+  }
+  const head = relativePositionToAbsolutePosition(
+    ystate.doc,
+    ystate.type,
+    Y.createRelativePositionFromJSON(cursor.head),
+    ystate.binding.mapping
+  );
+  return head === null
+    ? null
+    : Math.min(head, editorview.state.doc.content.size);
+};
+
+/**
+ * The last heading at or before `pos`
+ * @param {import("prosemirror-model").Node} doc
+ * @param {number} pos
+ * @returns {string|null}
+ */
+const headingAt = (doc, pos) => {
+  /** @type {string|null} */
+  let heading = null;
+  doc.nodesBetween(0, pos, (node) => {
+    if (node.type.name === "heading") {
+      heading = node.textContent;
+      return false;
+    }
+    return !node.isTextblock;
+  });
+  return heading;
+};
+
+/**
+ * @param {import("y-protocols/awareness").Awareness} awareness
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @returns {Presence[]} Us first, then everyone else by name
+ */
+const readPresence = (awareness, editorview) =>
+  [...awareness.getStates()]
+    .filter(([, state]) => state.user != null)
+    .map(([clientID, state]) => {
+      const head = headOf(editorview, state.cursor);
+      return {
+        clientID,
+        name: state.user.name,
+        color: getUserColor(clientID),
+        idle: state.idle === true,
+        heading: head === null ? null : headingAt(editorview.state.doc, head),
+        head,
+      };
+    })
+    .sort((a, b) =>
+      a.clientID === awareness.clientID
+        ? -1
+        : b.clientID === awareness.clientID
+          ? 1
+          : a.name.localeCompare(b.name)
+    );
+
+/**
+ * Scrolls the window so `pos` is on screen, if it isn't already
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {number} pos
+ */
+const scrollToPos = (editorview, pos) => {
+  const coords = editorview.coordsAtPos(pos);
+  if (coords.top < 0 || coords.bottom > window.innerHeight) {
+    window.scrollBy({
+      top: coords.top - window.innerHeight / 3,
+      behavior: "smooth",
+    });
+  }
+};
+
+/**
+ * Sets `idle` in our awareness state after IDLE_MS without input, or as soon
+ * as the tab is hidden
+ * @param {import("y-protocols/awareness").Awareness} awareness
+ * @returns {() => void} Stops tracking
+ */
+const trackIdle = (awareness) => {
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  let timer = null;
+  const setIdle = (idle) => {
+    if (awareness.getLocalState()?.idle !== idle) {
+      awareness.setLocalStateField("idle", idle);
+    }
+  };
+  const onActivity = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = setTimeout(() => setIdle(true), IDLE_MS);
+    setIdle(false);
+  };
+  const onVisibilityChange = () => {
+    if (document.hidden) {
+      if (timer !== null) clearTimeout(timer);
+      setIdle(true);
+    } else {
+      onActivity();
+    }
+  };
+  const events = ["keydown", "pointerdown", "pointermove", "focus"];
+  events.forEach((type) => window.addEventListener(type, onActivity));
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  onActivity();
+  return () => {
+    if (timer !== null) clearTimeout(timer);
+    events.forEach((type) => window.removeEventListener(type, onActivity));
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  };
+};
+
+/**
+ * @param {Presence} presence
+ * @param {boolean} self
+ * @param {boolean} following
+ * @param {() => void} onFollow
+ */
+const presenceTemplate = (presence, self, following, onFollow) => html`<li
+  class="presence-user ${following ? "presence-following" : ""}"
+>
+  <span class="presence-swatch" style="background-color: ${presence.color}"></span>
+  <span class="presence-name">${presence.name}${self ? " (you)" : ""}</span>
+  <span class="presence-status">${presence.idle ? "Idle" : "Active"}</span>
+  ${presence.heading !== null
+    ? html`<div class="presence-heading">${presence.heading || "Untitled heading"}</div>`
+    : null}
+  ${self || presence.head === null
+    ? null
+    : html`<button type="button" @click=${onFollow}>
+        ${following ? "Stop following" : "Follow"}
+      </button>`}
+</li>`;
+
+/**
+ * Lists everyone in the room with their color, whether they're idle, and the
+ * heading they're working under. Following someone keeps their cursor on
+ * screen until we type or click outside the panel.
+ * @param {HTMLElement} parent
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ * @returns {() => void} Removes the panel and stops tracking
+ */
+export const attachPresence = (parent, editorview, provider) => {
+  const awareness = provider.awareness;
+  let open = false;
+  /** @type {number|null} */
+  let following = null;
+  const container = document.createElement("div");
+  container.className = "presence";
+  parent.insertBefore(container, null);
+
+  const rerender = () => {
+    const users = readPresence(awareness, editorview);
+    const followed = users.find((user) => user.clientID === following);
+    if (following !== null && followed === undefined) {
+      // They left
+      following = null;
+    }
+    render(
+      html`<button type="button" @click=${() => {
+          open = !open;
+          rerender();
+        }}>${users.length} online</button>
+        ${followed !== undefined
+          ? html`<span class="presence-follow-banner">
+              Following ${followed.name}
+              <button type="button" @click=${() => follow(null)}>Stop</button>
+            </span>`
+          : null}
+        ${open
+          ? html`<ul class="presence-modal">
+              ${users.map((user) =>
+                presenceTemplate(
+                  user,
+                  user.clientID === awareness.clientID,
+                  user.clientID === following,
+                  () => follow(user.clientID === following ? null : user.clientID)
+                )
+              )}
+            </ul>`
+          : null}`,
+      container
+    );
+    if (followed?.head != null) {
+      scrollToPos(editorview, followed.head);
+    }
+  };
+
+  /** @param {number|null} clientID */
+  const follow = (clientID) => {
+    following = clientID;
+    rerender();
+  };
+
+  const stopFollowing = () => {
+    if (following !== null) follow(null);
+  };
+  /** @param {MouseEvent} event */
+  const onPointerDown = (event) => {
+    if (!container.contains(/** @type {Node} */ (event.target))) {
+      stopFollowing();
+    }
+  };
+
+  const stopTrackingIdle = trackIdle(awareness);
+  awareness.on("change", rerender);
+  editorview.dom.addEventListener("beforeinput", stopFollowing);
+  document.addEventListener("pointerdown", onPointerDown);
+  rerender();
+
+  return () => {
+    stopTrackingIdle();
+    awareness.off("change", rerender);
+    editorview.dom.removeEventListener("beforeinput", stopFollowing);
+    document.removeEventListener("pointerdown", onPointerDown);
+    container.remove();
+  };
+};
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { createCollaborativeEditor } from "./editor.js";
+
+/**
+ * @typedef {Object} CollaborativeEditorProps
+ * @property {string} room
+ * @property {import("./editor.js").EditorUser} user
+ * @property {import("prosemirror-state").Plugin[]} [plugins] Read when the
+ *   editor is created, see createCollaborativeEditor
+ * @property {string} [host]
+ * @property {string} [className]
+ * @property {(editor: import("./editor.js").CollaborativeEditor) => void} [onEditor]
+ *   Called with each editor that's created, e.g. to keep its view or doc
+ */
+
+/**
+ * createCollaborativeEditor as a React component. The editor is rebuilt
+ * when the room, user or host changes, and destroyed on unmount.
+ * @param {CollaborativeEditorProps} props
+ */
+export function CollaborativeEditor({ room, user, plugins, host, className, onEditor }) {
+  const container = useRef(null);
+  // Kept in refs so new arrays and callbacks don't rebuild the editor
+  const pluginsRef = useRef(plugins);
+  const onEditorRef = useRef(onEditor);
+  pluginsRef.current = plugins;
+  onEditorRef.current = onEditor;
+
+  useEffect(() => {
+    const editor = createCollaborativeEditor({
+      room,
+      user: { token: user.token, name: user.name },
+      container: container.current,
+      plugins: pluginsRef.current,
+      host,
+    });
+    onEditorRef.current?.(editor);
+    return () => editor.destroy();
+  }, [room, user.token, user.name, host]);
+
+  return <div ref={container} className={className} />;
+}
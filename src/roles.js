@@ -0,0 +1,114 @@
+/* eslint-env browser */
+
+import { html, render } from "lit-html";
+import { onMessage, sendMessage } from "./messages.js";
+
+/**
+ * @typedef {"editor"|"commenter"|"viewer"} Role
+ */
+
+/**
+ * @typedef {Object} RoomRoles
+ * @property {string} owner
+ * @property {Role} defaultRole
+ * @property {Object.<string, Role>} members
+ */
+
+const ROLES = ["editor", "commenter", "viewer"];
+
+/**
+ * @param {Role} selected
+ * @param {(role: Role) => void} onSelect
+ */
+const roleSelect = (selected, onSelect) => html`<select
+  @change=${(event) => onSelect(event.target.value)}
+>
+  ${ROLES.map(
+    (role) => html`<option value=${role} ?selected=${role === selected}>${role}</option>`
+  )}
+</select>`;
+
+/**
+ * @param {import("y-partykit/provider").default} provider
+ * @param {RoomRoles} roles
+ */
+const rolesTemplate = (provider, roles) => {
+  const setRole = (userId, role) =>
+    sendMessage(provider, { type: "set-role", userId, role });
+  return html`<div class="roles-modal">
+    <label>
+      Everyone else
+      ${roleSelect(roles.defaultRole, (role) =>
+        sendMessage(provider, { type: "set-default-role", role })
+      )}
+    </label>
+    <ul>
+      ${Object.entries(roles.members).map(
+        ([userId, role]) => html`<li>
+          ${userId} ${roleSelect(role, (role) => setRole(userId, role))}
+          <button type="button" @click=${() => setRole(userId, null)}>Remove</button>
+        </li>`
+      )}
+    </ul>
+    <form
+      @submit=${(event) => {
+        event.preventDefault();
+        const form = event.target;
+        const userId = form.elements.userId.value.trim();
+        if (userId !== "") {
+          setRole(userId, form.elements.role.value);
+          form.reset();
+        }
+      }}
+    >
+      <input name="userId" placeholder="User id" />
+      <select name="role">
+        ${ROLES.map((role) => html`<option value=${role}>${role}</option>`)}
+      </select>
+      <button type="submit">Add</button>
+    </form>
+  </div>`;
+};
+
+/**
+ * Keeps track of our role in the room. The room's owner also gets a "Share"
+ * panel for assigning roles to other users.
+ * @param {HTMLElement} parent
+ * @param {import("y-partykit/provider").default} provider
+ * @param {(role: Role) => void} onRole Called whenever the server tells us our role
+ * @returns {() => void} Removes the panel and stops listening
+ */
+export const attachRoles = (parent, provider, onRole) => {
+  let open = false;
+  /** @type {RoomRoles|null} */
+  let roles = null;
+  const container = document.createElement("div");
+  container.className = "roles";
+  parent.insertBefore(container, null);
+
+  const rerender = () => {
+    render(
+      roles === null
+        ? null
+        : html`<button type="button" @click=${() => {
+              open = !open;
+              rerender();
+            }}>Share</button>
+            ${open ? rolesTemplate(provider, roles) : null}`,
+      container
+    );
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") {
+      roles = message.owner ? message.roles : null;
+      onRole(message.role);
+      rerender();
+    }
+  });
+
+  return () => {
+    stopListening();
+    container.remove();
+  };
+};
@@ -1,4 +1,5 @@
-import { Schema } from 'prosemirror-model'
+import { Fragment, Schema } from 'prosemirror-model'
+import { tableNodes } from 'prosemirror-tables'
 
 const brDOM = ['br']
 
@@ -31,6 +32,66 @@ const calcYchangeDomAttrs = (attrs, domAttrs = {}) => {
 const hoverWrapper = (ychange, els) =>
   ychange === null ? els : [['span', { class: 'ychange-hover', style: `background-color:${ychange.color.dark}` }, ychange.user || 'Unknown'], ['span', ...els]]
 
+const ychangeAttrs = {
+  user: { default: null },
+  type: { default: null },
+  color: { default: null }
+}
+
+// Suggestions from users without a color, e.g. merged from a fork
+const defaultChangeColor = { light: '#ecd44433', dark: '#ecd444' }
+
+/**
+ * A `ychange` element, styled by change type and labelled with its user
+ * @param {{ user: string|null, type: string|null, color: any }} ychange
+ * @param {Object} [domAttrs] Extra attributes for the element
+ */
+const ychangeDOM = (ychange, domAttrs = {}) =>
+  ['ychange', { ...domAttrs, ychange_user: ychange.user, ychange_type: ychange.type, style: calcYChangeStyle(ychange), ychange_color: ychange.color.light }, ...hoverWrapper(ychange, [0])]
+
+const cellNodes = tableNodes({
+  tableGroup: 'block',
+  cellContent: 'block+',
+  cellAttributes: {
+    ychange: {
+      default: null,
+      getFromDOM: () => null,
+      setDOMAttr: (ychange, domAttrs) => Object.assign(domAttrs, calcYchangeDomAttrs({ ychange }))
+    }
+  }
+})
+
+// Tables from `prosemirror-tables`, with `ychange` attrs. The hover label
+// can't go inside `<table>` or `<tr>`, so tables get a wrapping `<div>`.
+const tableSpecs = {
+  table: {
+    ...cellNodes.table,
+    attrs: { ychange: { default: null } },
+    toDOM (node) {
+      return ['div', calcYchangeDomAttrs(node.attrs, { class: 'table-wrapper' }), ...hoverWrapper(node.attrs.ychange, [['table', ['tbody', 0]]])]
+    }
+  },
+  table_row: {
+    ...cellNodes.table_row,
+    attrs: { ychange: { default: null } },
+    toDOM (node) { return ['tr', calcYchangeDomAttrs(node.attrs), 0] }
+  },
+  table_cell: {
+    ...cellNodes.table_cell,
+    toDOM (node) {
+      const [tag, domAttrs] = cellNodes.table_cell.toDOM(node)
+      return [tag, domAttrs, ...hoverWrapper(node.attrs.ychange, [0])]
+    }
+  },
+  table_header: {
+    ...cellNodes.table_header,
+    toDOM (node) {
+      const [tag, domAttrs] = cellNodes.table_header.toDOM(node)
+      return [tag, domAttrs, ...hoverWrapper(node.attrs.ychange, [0])]
+    }
+  }
+}
+
 // :: Object
 // [Specs](#model.NodeSpec) for the nodes defined in this schema.
 export const nodes = {
@@ -110,6 +171,80 @@ export const nodes = {
     toDOM (node) { return ['pre', calcYchangeDomAttrs(node.attrs), ...hoverWrapper(node.attrs.ychange, [['code', 0]])] }
   },
 
+  // :: NodeSpec A bullet list (`<ul>`) of `list_item`s.
+  bullet_list: {
+    attrs: { ychange: { default: null } },
+    content: 'list_item+',
+    group: 'block',
+    parseDOM: [{ tag: 'ul:not(.task-list)' }],
+    toDOM (node) { return ['ul', calcYchangeDomAttrs(node.attrs), ...hoverWrapper(node.attrs.ychange, [0])] }
+  },
+
+  // :: NodeSpec An ordered list (`<ol>`) of `list_item`s, with an `order`
+  // attribute holding the number of the first item.
+  ordered_list: {
+    attrs: {
+      order: { default: 1 },
+      ychange: { default: null }
+    },
+    content: 'list_item+',
+    group: 'block',
+    parseDOM: [{
+      tag: 'ol',
+      getAttrs (dom) {
+        return { order: dom.hasAttribute('start') ? +dom.getAttribute('start') : 1 }
+      }
+    }],
+    toDOM (node) {
+      const domAttrs = node.attrs.order === 1 ? {} : { start: node.attrs.order }
+      return ['ol', calcYchangeDomAttrs(node.attrs, domAttrs), ...hoverWrapper(node.attrs.ychange, [0])]
+    }
+  },
+
+  // :: NodeSpec An item in a bullet or ordered list.
+  list_item: {
+    attrs: { ychange: { default: null } },
+    content: 'paragraph block*',
+    defining: true,
+    parseDOM: [{ tag: 'li:not(.task-item)' }],
+    toDOM (node) { return ['li', calcYchangeDomAttrs(node.attrs), ...hoverWrapper(node.attrs.ychange, [0])] }
+  },
+
+  // :: NodeSpec A checklist (`<ul class="task-list">`) of `task_item`s.
+  task_list: {
+    attrs: { ychange: { default: null } },
+    content: 'task_item+',
+    group: 'block',
+    parseDOM: [{ tag: 'ul.task-list', priority: 60 }],
+    toDOM (node) { return ['ul', calcYchangeDomAttrs(node.attrs, { class: 'task-list' }), ...hoverWrapper(node.attrs.ychange, [0])] }
+  },
+
+  // :: NodeSpec A checklist item with a `checked` attribute. The checkbox is
+  // toggled by the editor setup in `src/setup.js`.
+  task_item: {
+    attrs: {
+      checked: { default: false },
+      ychange: { default: null }
+    },
+    content: 'paragraph block*',
+    defining: true,
+    parseDOM: [{
+      tag: 'li.task-item',
+      priority: 60,
+      getAttrs (dom) {
+        return { checked: dom.getAttribute('data-checked') === 'true' }
+      }
+    }],
+    toDOM (node) {
+      const checkbox = ['input', node.attrs.checked ? { type: 'checkbox', checked: '' } : { type: 'checkbox' }]
+      return ['li', calcYchangeDomAttrs(node.attrs, { class: 'task-item', 'data-checked': String(node.attrs.checked) }),
+        ['span', { class: 'task-checkbox', contenteditable: 'false' }, checkbox],
+        ['div', { class: 'task-content' }, ...hoverWrapper(node.attrs.ychange, [0])]]
+    }
+  },
+
+  ...tableSpecs,
+
   // :: NodeSpec The text node.
   text: {
     group: 'inline'
@@ -148,6 +283,26 @@ export const nodes = {
     }
   },
 
+  // :: NodeSpec Stands in for an image while it uploads, see
+  // src/images.js. `id` identifies the upload and `name` is the
+  // uploader. Never parsed, so copies of it don't outlive the upload.
+  image_upload: {
+    inline: true,
+    atom: true,
+    attrs: {
+      ychange: { default: null },
+      id: {},
+      name: { default: null }
+    },
+    group: 'inline',
+    parseDOM: [{ tag: 'span.image-upload', ignore: true }],
+    toDOM (node) {
+      const domAttrs = { class: 'image-upload' }
+      const label = node.attrs.name ? `${node.attrs.name} is uploading an image…` : 'Uploading an image…'
+      return ['span', calcYchangeDomAttrs(node.attrs, domAttrs), label]
+    }
+  },
+
   // :: NodeSpec A hard line break, represented in the DOM as `<br>`.
   hard_break: {
     inline: true,
@@ -205,25 +360,55 @@ export const marks = {
     toDOM () { return codeDOM }
   },
   ychange: {
+    attrs: ychangeAttrs,
+    inclusive: false,
+    parseDOM: [{ tag: 'ychange' }],
+    toDOM (node) {
+      return ychangeDOM(node.attrs)
+    }
+  },
+  // :: MarkSpec A pending change made in suggestion mode: a `ychange` that
+  // is part of the document. y-prosemirror only adds `ychange` marks while
+  // rendering snapshots and leaves them out when it writes to Yjs, so a
+  // suggestion needs a mark of its own to sync until someone accepts or
+  // rejects it. `type` is 'added' or 'removed', and `id` groups the runs of
+  // one suggestion.
+  suggestion: {
     attrs: {
-      user: { default: null },
-      type: { default: null },
-      color: { default: null }
+      ...ychangeAttrs,
+      type: {},
+      id: {},
+      date: { default: null }
     },
     inclusive: false,
-    parseDOM: [{ tag: 'ychange' }],
     toDOM (node) {
-      return ['ychange', { ychange_user: node.attrs.user, ychange_type: node.attrs.type, style: calcYChangeStyle(node.attrs), ychange_color: node.attrs.color.light }, ...hoverWrapper(node.attrs, [0])]
+      return ychangeDOM(
+        { ...node.attrs, color: node.attrs.color || defaultChangeColor },
+        { class: 'suggestion', 'data-suggestion': node.attrs.id }
+      )
     }
   }
 }
 
 // :: Schema
 // This schema rougly corresponds to the document schema used by
-// [CommonMark](http://commonmark.org/), minus the list elements,
-// which are defined in the [`prosemirror-schema-list`](#schema-list)
-// module.
+// [CommonMark](http://commonmark.org/), plus task lists and tables.
 //
 // To reuse elements from this schema, extend or read from its
 // `spec.nodes` and `spec.marks` [properties](#model.Schema.spec).
 export const schema = new Schema({ nodes, marks })
+
+// :: (Node) → Node
+// The document as it was before its pending suggestions: text suggested for
+// insertion is left out, and text suggested for removal stays, unmarked.
+// Exports show this, so they only hold what editors have accepted.
+export function withoutSuggestions (node) {
+  const content = []
+  node.forEach(child => {
+    const suggestion = child.marks.find(mark => mark.type.name === 'suggestion')
+    if (suggestion && suggestion.attrs.type === 'added') return
+    const unmarked = suggestion ? child.mark(suggestion.removeFromSet(child.marks)) : child
+    content.push(unmarked.isLeaf ? unmarked : withoutSuggestions(unmarked))
+  })
+  return node.copy(Fragment.fromArray(content))
+}
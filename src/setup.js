@@ -0,0 +1,169 @@
+/* eslint-env browser */
+
+import { exampleSetup, buildMenuItems } from "prosemirror-example-setup";
+import { keymap } from "prosemirror-keymap";
+import { chainCommands } from "prosemirror-commands";
+import { InputRule, inputRules } from "prosemirror-inputrules";
+import { Dropdown, MenuItem, wrapItem } from "prosemirror-menu";
+import { Plugin } from "prosemirror-state";
+import { findWrapping } from "prosemirror-transform";
+import {
+  liftListItem,
+  sinkListItem,
+  splitListItem,
+} from "prosemirror-schema-list";
+import {
+  addColumnAfter,
+  addColumnBefore,
+  addRowAfter,
+  addRowBefore,
+  deleteColumn,
+  deleteRow,
+  deleteTable,
+  goToNextCell,
+  isInTable,
+  tableEditing,
+  toggleHeaderRow,
+} from "prosemirror-tables";
+
+/**
+ * `[ ] ` or `[x] ` at the start of a paragraph turns it into a task
+ * @param {import("prosemirror-model").Schema} schema
+ */
+const taskListRule = (schema) =>
+  new InputRule(/^\s*\[([ xX]?)\]\s$/, (state, match, start, end) => {
+    const tr = state.tr.delete(start, end);
+    const range = tr.doc.resolve(start).blockRange();
+    if (range === null) return null;
+    const wrapping = findWrapping(range, schema.nodes.task_list);
+    if (wrapping === null) return null;
+    // findWrapping picks a plain task_item, so set the checkbox ourselves
+    return tr.wrap(
+      range,
+      wrapping.map((wrapper) =>
+        wrapper.type === schema.nodes.task_item
+          ? { type: wrapper.type, attrs: { checked: match[1].toLowerCase() === "x" } }
+          : wrapper
+      )
+    );
+  });
+
+/**
+ * Lets the checkbox in a `task_item` toggle the item
+ * @param {import("prosemirror-model").Schema} schema
+ */
+const taskCheckboxPlugin = (schema) =>
+  new Plugin({
+    props: {
+      handleDOMEvents: {
+        mousedown: (view, event) => {
+          const target = /** @type {HTMLElement} */ (event.target);
+          if (!target.matches(".task-checkbox input")) return false;
+          event.preventDefault();
+          if (!view.editable) return true;
+          const $pos = view.state.doc.resolve(
+            view.posAtDOM(/** @type {HTMLElement} */ (target.closest("li")), 0)
+          );
+          for (let depth = $pos.depth; depth > 0; depth--) {
+            const node = $pos.node(depth);
+            if (node.type === schema.nodes.task_item) {
+              view.dispatch(
+                view.state.tr.setNodeMarkup($pos.before(depth), undefined, {
+                  ...node.attrs,
+                  checked: !node.attrs.checked,
+                })
+              );
+              break;
+            }
+          }
+          return true;
+        },
+      },
+    },
+  });
+
+/**
+ * @param {import("prosemirror-model").Schema} schema
+ */
+const tableMenu = (schema) => {
+  const item = (label, cmd) =>
+    new MenuItem({ label, select: cmd, run: cmd });
+  const insertTable = new MenuItem({
+    label: "Insert table",
+    title: "Insert a 3×3 table",
+    run: (state, dispatch) => {
+      const { table, table_row, table_header, table_cell, paragraph } =
+        schema.nodes;
+      const row = (cellType) =>
+        table_row.create(
+          null,
+          [0, 1, 2].map(() => cellType.create(null, paragraph.create()))
+        );
+      dispatch(
+        state.tr
+          .replaceSelectionWith(
+            table.create(null, [row(table_header), row(table_cell), row(table_cell)])
+          )
+          .scrollIntoView()
+      );
+    },
+    select: (state) => !isInTable(state),
+  });
+  return new Dropdown(
+    [
+      insertTable,
+      item("Insert row before", addRowBefore),
+      item("Insert row after", addRowAfter),
+      item("Insert column before", addColumnBefore),
+      item("Insert column after", addColumnAfter),
+      item("Toggle header row", toggleHeaderRow),
+      item("Delete row", deleteRow),
+      item("Delete column", deleteColumn),
+      item("Delete table", deleteTable),
+    ],
+    { label: "Table" }
+  );
+};
+
+/**
+ * `exampleSetup` plus what our schema adds to it: task lists and tables.
+ * Bullet and ordered lists are handled by `exampleSetup` itself, since it
+ * looks for `bullet_list`, `ordered_list` and `list_item` in the schema.
+ * @param {import("prosemirror-model").Schema} schema
+ * @returns {Plugin[]}
+ */
+export const editorSetup = (schema) => {
+  const { list_item, task_item } = schema.nodes;
+  const menu = buildMenuItems(schema);
+  const wrapTaskList = wrapItem(schema.nodes.task_list, {
+    title: "Wrap in task list",
+    label: "☑",
+  });
+  return [
+    inputRules({ rules: [taskListRule(schema)] }),
+    keymap({
+      // Before exampleSetup's keymap, whose Enter only knows list_item
+      Enter: splitListItem(task_item, { checked: false }),
+      Tab: chainCommands(
+        goToNextCell(1),
+        sinkListItem(list_item),
+        sinkListItem(task_item)
+      ),
+      "Shift-Tab": chainCommands(
+        goToNextCell(-1),
+        liftListItem(list_item),
+        liftListItem(task_item)
+      ),
+      "Mod-[": liftListItem(task_item),
+      "Mod-]": sinkListItem(task_item),
+    }),
+    taskCheckboxPlugin(schema),
+  ].concat(
+    exampleSetup({
+      schema,
+      menuContent: menu.fullMenu.concat([[wrapTaskList, tableMenu(schema)]]),
+    }),
+    // Last, so the gap cursor and others get to handle table keys first
+    tableEditing()
+  );
+};
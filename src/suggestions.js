@@ -0,0 +1,375 @@
+/* eslint-env browser */
+
+import { Plugin, PluginKey, TextSelection } from "prosemirror-state";
+import { Mapping, ReplaceStep } from "prosemirror-transform";
+import { ySyncPluginKey } from "y-prosemirror";
+import { html, render } from "lit-html";
+import { onMessage } from "./messages.js";
+import * as random from "lib0/random.js";
+
+/**
+ * @typedef {Object} SuggestionUser
+ * @property {string} name
+ * @property {{ light: string, dark: string }} color
+ */
+
+/**
+ * One contiguous run of text carrying the same `suggestion` mark
+ * @typedef {Object} Suggestion
+ * @property {string} id
+ * @property {"added"|"removed"} type
+ * @property {string|null} user
+ * @property {number} from
+ * @property {number} to
+ * @property {string} text
+ */
+
+export const suggestionsPluginKey = new PluginKey("suggestions");
+
+/** Dispatched on the editor's DOM when the document or the mode changes */
+const SUGGESTIONS_CHANGE = "suggestions-change";
+
+/**
+ * @param {import("prosemirror-model").Node} node
+ * @returns {import("prosemirror-model").Mark|undefined}
+ */
+const suggestionMark = (node) =>
+  node?.marks.find((mark) => mark.type.name === "suggestion");
+
+/**
+ * Finds all suggestions in a document, in document order
+ * @param {import("prosemirror-model").Node} doc
+ * @returns {Suggestion[]}
+ */
+export const findSuggestions = (doc) => {
+  /** @type {Suggestion[]} */
+  const suggestions = [];
+  doc.descendants((node, pos) => {
+    const mark = suggestionMark(node);
+    if (mark === undefined) return;
+    const last = suggestions[suggestions.length - 1];
+    if (last !== undefined && last.id === mark.attrs.id && last.to === pos) {
+      last.to = pos + node.nodeSize;
+      last.text += node.textContent;
+    } else {
+      suggestions.push({
+        id: mark.attrs.id,
+        type: mark.attrs.type,
+        user: mark.attrs.user,
+        from: pos,
+        to: pos + node.nodeSize,
+        text: node.textContent,
+      });
+    }
+  });
+  return suggestions;
+};
+
+/**
+ * Id of a neighbouring suggestion we can extend, so typing a word makes one
+ * suggestion rather than one per character
+ * @param {import("prosemirror-state").Transaction} tr
+ * @param {number} from
+ * @param {number} to
+ * @param {"added"|"removed"} type
+ * @param {SuggestionUser} user
+ */
+const adjacentSuggestionId = (tr, from, to, type, user) => {
+  for (const node of [tr.doc.resolve(from).nodeBefore, tr.doc.resolve(to).nodeAfter]) {
+    const mark = suggestionMark(node);
+    if (mark !== undefined && mark.attrs.type === type && mark.attrs.user === user.name) {
+      return mark.attrs.id;
+    }
+  }
+  return random.uuidv4();
+};
+
+/**
+ * @param {import("prosemirror-state").Transaction} tr
+ * @param {number} from
+ * @param {number} to
+ * @param {"added"|"removed"} type
+ * @param {SuggestionUser} user
+ */
+const markSuggestion = (tr, from, to, type, user) => {
+  const markType = tr.doc.type.schema.marks.suggestion;
+  tr.addMark(
+    from,
+    to,
+    markType.create({
+      id: adjacentSuggestionId(tr, from, to, type, user),
+      user: user.name,
+      type,
+      color: user.color,
+      date: Date.now(),
+    })
+  );
+};
+
+/**
+ * Rewrites the text changes in `trs` into suggestions: inserted text gets an
+ * "added" mark and deleted text is put back with a "removed" mark. Deleting
+ * your own pending insertion just deletes it. Structural changes (wrapping,
+ * changing block types) aren't tracked.
+ * @param {readonly import("prosemirror-state").Transaction[]} trs
+ * @param {import("prosemirror-state").EditorState} oldState
+ * @param {import("prosemirror-state").EditorState} newState
+ * @param {SuggestionUser} user
+ */
+const suggestChanges = (trs, oldState, newState, user) => {
+  /** @type {{ step: number, from: number, to: number }[]} */
+  const insertions = [];
+  /** @type {{ step: number, pos: number, slice: import("prosemirror-model").Slice, backward: boolean }[]} */
+  const deletions = [];
+  const mapping = new Mapping();
+  for (const tr of trs) {
+    tr.steps.forEach((step, i) => {
+      if (step instanceof ReplaceStep) {
+        const stepIndex = mapping.maps.length;
+        if (step.slice.size > 0) {
+          insertions.push({ step: stepIndex, from: step.from, to: step.from + step.slice.size });
+        }
+        if (step.to > step.from) {
+          deletions.push({
+            step: stepIndex,
+            pos: step.from,
+            slice: tr.docs[i].slice(step.from, step.to),
+            backward: oldState.selection.empty && oldState.selection.head === step.to,
+          });
+        }
+      }
+      mapping.appendMap(step.getMap());
+    });
+  }
+  if (insertions.length === 0 && deletions.length === 0) return null;
+
+  const tr = newState.tr.setMeta(suggestionsPluginKey, { rewritten: true });
+  // Positions after step `step`, in tr.doc
+  const toCurrent = (step, pos, assoc) =>
+    tr.mapping.map(mapping.slice(step + 1).map(pos, assoc), assoc);
+
+  for (const insertion of insertions) {
+    const from = toCurrent(insertion.step, insertion.from, -1);
+    const to = toCurrent(insertion.step, insertion.to, 1);
+    if (from < to) markSuggestion(tr, from, to, "added", user);
+  }
+
+  /** @type {{ pos: number, steps: number, assoc: number }|null} */
+  let cursor = null;
+  for (const deletion of deletions) {
+    const pos = toCurrent(deletion.step, deletion.pos, -1);
+    const before = tr.steps.length;
+    tr.replace(pos, pos, deletion.slice);
+    const from = tr.mapping.slice(before).map(pos, -1);
+    const to = tr.mapping.slice(before).map(pos, 1);
+
+    /** @type {[number, number][]} */
+    const own = [];
+    /** @type {[number, number][]} */
+    const others = [];
+    tr.doc.nodesBetween(from, to, (node, nodePos) => {
+      if (!node.isInline) return true;
+      const start = Math.max(from, nodePos);
+      const end = Math.min(to, nodePos + node.nodeSize);
+      const mark = suggestionMark(node);
+      if (mark === undefined || (mark.attrs.type === "added" && mark.attrs.user !== user.name)) {
+        others.push([start, end]);
+      } else if (mark.attrs.type === "added") {
+        own.push([start, end]);
+      }
+      return false;
+    });
+    for (const [start, end] of others) {
+      markSuggestion(tr, start, end, "removed", user);
+    }
+    // Backspace leaves the cursor in front of what it "deleted", Delete after
+    cursor = deletion.backward
+      ? { pos: from, steps: tr.steps.length, assoc: -1 }
+      : { pos: to, steps: tr.steps.length, assoc: 1 };
+    for (const [start, end] of own.reverse()) {
+      tr.delete(start, end);
+    }
+  }
+
+  if (cursor !== null && newState.selection.empty) {
+    const pos = tr.mapping.slice(cursor.steps).map(cursor.pos, cursor.assoc);
+    tr.setSelection(TextSelection.create(tr.doc, pos));
+  }
+  return tr;
+};
+
+/**
+ * Suggestion mode. While it's on, our edits are recorded as suggestions
+ * attributed to `user` instead of changing the document directly.
+ * @param {SuggestionUser} user
+ */
+export const suggestionsPlugin = (user) =>
+  new Plugin({
+    key: suggestionsPluginKey,
+    state: {
+      init: () => ({ enabled: false }),
+      apply: (tr, value) => {
+        const meta = tr.getMeta(suggestionsPluginKey);
+        return meta !== undefined && meta.enabled !== undefined
+          ? { enabled: meta.enabled }
+          : value;
+      },
+    },
+    appendTransaction: (trs, oldState, newState) => {
+      if (!suggestionsPluginKey.getState(newState).enabled) return null;
+      // Remote changes, undo/redo and rendered versions come from Yjs
+      const local = trs.filter(
+        (tr) =>
+          tr.docChanged &&
+          tr.getMeta(ySyncPluginKey) === undefined &&
+          tr.getMeta(suggestionsPluginKey) === undefined
+      );
+      if (local.length !== trs.length || local.length === 0) return null;
+      return suggestChanges(local, oldState, newState, user);
+    },
+    view: () => ({
+      update: (view, prevState) => {
+        if (
+          view.state.doc !== prevState.doc ||
+          suggestionsPluginKey.getState(view.state) !==
+            suggestionsPluginKey.getState(prevState)
+        ) {
+          view.dom.dispatchEvent(new CustomEvent(SUGGESTIONS_CHANGE));
+        }
+      },
+    }),
+  });
+
+/**
+ * Applies or discards a suggestion. Accepting an insertion or rejecting a
+ * deletion keeps the text; the other two remove it.
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {Suggestion[]} suggestions
+ * @param {boolean} accept
+ */
+const resolveSuggestions = (editorview, suggestions, accept) => {
+  const tr = editorview.state.tr.setMeta(suggestionsPluginKey, { resolved: true });
+  const markType = editorview.state.schema.marks.suggestion;
+  // Back to front, so earlier positions stay valid
+  for (const suggestion of [...suggestions].reverse()) {
+    const keep = accept === (suggestion.type === "added");
+    if (keep) {
+      tr.removeMark(suggestion.from, suggestion.to, markType);
+    } else {
+      tr.delete(suggestion.from, suggestion.to);
+    }
+  }
+  editorview.dispatch(tr);
+};
+
+/**
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {Suggestion[]} suggestions
+ * @param {boolean} canEdit
+ */
+const suggestionsTemplate = (editorview, suggestions, canEdit) => html`<div
+  class="suggestions-modal"
+>
+  ${suggestions.length === 0
+    ? html`<p>No pending suggestions.</p>`
+    : html`${canEdit
+          ? html`<button type="button" @click=${() => resolveSuggestions(editorview, suggestions, true)}>Accept all</button>
+              <button type="button" @click=${() => resolveSuggestions(editorview, suggestions, false)}>Reject all</button>`
+          : null}
+        <ul>
+          ${groupById(suggestions).map(
+            (group) => html`<li class="suggestion-item">
+              <span class="suggestion-${group[0].type}">${group.map((s) => s.text).join(" ")}</span>
+              <div class="suggestion-meta">
+                ${group[0].type === "added" ? "Added" : "Removed"} by ${group[0].user || "Unknown"}
+              </div>
+              ${canEdit
+                ? html`<button type="button" @click=${() => resolveSuggestions(editorview, group, true)}>Accept</button>
+                    <button type="button" @click=${() => resolveSuggestions(editorview, group, false)}>Reject</button>`
+                : null}
+            </li>`
+          )}
+        </ul>`}
+</div>`;
+
+/**
+ * A suggestion can be split into several runs, e.g. by a paragraph break
+ * @param {Suggestion[]} suggestions
+ * @returns {Suggestion[][]}
+ */
+const groupById = (suggestions) => {
+  /** @type {Map<string, Suggestion[]>} */
+  const groups = new Map();
+  for (const suggestion of suggestions) {
+    const group = groups.get(suggestion.id);
+    if (group === undefined) {
+      groups.set(suggestion.id, [suggestion]);
+    } else {
+      group.push(suggestion);
+    }
+  }
+  return Array.from(groups.values());
+};
+
+/**
+ * Adds the "Suggesting" toggle and a panel listing pending suggestions with
+ * accept/reject buttons. The editor needs `suggestionsPlugin`.
+ * @param {HTMLElement} parent
+ * @param {import("prosemirror-view").EditorView} editorview
+ * @param {import("y-partykit/provider").default} provider
+ * @returns {() => void} Removes the toggle and panel
+ */
+export const attachSuggestions = (parent, editorview, provider) => {
+  let open = false;
+  // Until the server tells us our role
+  let canEdit = false;
+  const container = document.createElement("div");
+  container.className = "suggestions";
+  parent.insertBefore(container, null);
+
+  const setEnabled = (enabled) =>
+    editorview.dispatch(
+      editorview.state.tr.setMeta(suggestionsPluginKey, { enabled })
+    );
+
+  const rerender = () => {
+    const { enabled } = suggestionsPluginKey.getState(editorview.state);
+    const suggestions = findSuggestions(editorview.state.doc);
+    render(
+      html`${canEdit
+          ? html`<label>
+              <input
+                type="checkbox"
+                .checked=${enabled}
+                @change=${(event) => setEnabled(event.target.checked)}
+              />
+              Suggesting
+            </label>`
+          : null}
+        <button type="button" @click=${() => {
+          open = !open;
+          rerender();
+        }}>Suggestions (${groupById(suggestions).length})</button>
+        ${open ? suggestionsTemplate(editorview, suggestions, canEdit) : null}`,
+      container
+    );
+  };
+
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "role") {
+      canEdit = message.role === "editor";
+      if (!canEdit && suggestionsPluginKey.getState(editorview.state).enabled) {
+        setEnabled(false);
+      }
+      rerender();
+    }
+  });
+  editorview.dom.addEventListener(SUGGESTIONS_CHANGE, rerender);
+  rerender();
+
+  return () => {
+    stopListening();
+    editorview.dom.removeEventListener(SUGGESTIONS_CHANGE, rerender);
+    container.remove();
+  };
+};
@@ -0,0 +1,392 @@
+/* eslint-env browser */
+
+import * as Y from "yjs";
+import { ySyncPluginKey, yXmlFragmentToProseMirrorRootNode } from "y-prosemirror";
+import { html, render } from "lit-html";
+import * as dom from "lib0/dom.js";
+import * as pair from "lib0/pair.js";
+import { schema } from "./schema.js";
+import { downloadMarkdown } from "./files.js";
+import { onMessage, sendMessage } from "./messages.js";
+import {
+  compareTemplate,
+  createComparison,
+  summarizeChanges,
+  LIVE,
+} from "./compare.js";
+import { getUserColor } from "./colors.js";
+
+/** @typedef {import("prosemirror-view").EditorView} EditorView */
+/** @typedef {import("y-partykit/provider").default} WebsocketProvider */
+
+/**
+ * @typedef {Object} Version
+ * @property {number} date
+ * @property {Uint8Array} snapshot
+ * @property {number} clientID
+ * @property {string} username
+ * @property {number} [restoredFrom] `date` of the version this one restored
+ * @property {boolean} [auto] Created automatically by the server
+ * @property {string} [name] Milestone label, e.g. "Sent to legal"
+ * @property {boolean} [pinned] Exempt from the server's retention policy
+ * @property {{ since: number, until: number }} [offline] Includes edits made
+ *   offline between these times, by the client's clock
+ */
+
+/**
+ * Each editor's "Live Tracking" checkbox, so several editors can share a page
+ * @type {WeakMap<EditorView, HTMLInputElement>}
+ */
+const liveTrackingBoxes = new WeakMap();
+
+const updateLiveTrackingState = (editorstate) => {
+  setTimeout(() => {
+    const liveTracking = liveTrackingBoxes.get(editorstate);
+    const syncState = ySyncPluginKey.getState(editorstate.state);
+    if (liveTracking === undefined || syncState == null) return;
+    liveTracking.checked =
+      syncState.prevSnapshot != null && syncState.snapshot == null;
+  }, 500);
+};
+
+const renderVersion = (editorview, version, prevSnapshot) => {
+  editorview.dispatch(
+    editorview.state.tr.setMeta(ySyncPluginKey, {
+      snapshot: Y.decodeSnapshot(version.snapshot),
+      prevSnapshot:
+        prevSnapshot == null ? Y.emptySnapshot : Y.decodeSnapshot(prevSnapshot),
+    })
+  );
+  updateLiveTrackingState(editorview);
+};
+
+/**
+ * Renders the `ychange` diff between the two sides of a comparison, in
+ * chronological order, and fills in its per-author summary.
+ * @param {EditorView} editorview
+ * @param {Y.Doc} doc
+ * @param {Y.PermanentUserData} permanentUserData
+ * @param {import("./compare.js").Comparison} comparison
+ */
+const renderComparison = (editorview, doc, permanentUserData, comparison) => {
+  const versions = doc.getArray("versions").toArray();
+  const dateOf = (key) => (key === LIVE ? Infinity : Number(key));
+  const [from, to] = [comparison.from, comparison.to].sort(
+    (a, b) => dateOf(a) - dateOf(b)
+  );
+  const snapshotOf = (key) =>
+    Y.decodeSnapshot(
+      versions.find((version) => String(version.date) === key).snapshot
+    );
+  const prevSnapshot = snapshotOf(from);
+  // A null snapshot keeps following the live document, like Live Tracking
+  const snapshot = to === LIVE ? null : snapshotOf(to);
+  editorview.dispatch(
+    editorview.state.tr.setMeta(ySyncPluginKey, { snapshot, prevSnapshot })
+  );
+  updateLiveTrackingState(editorview);
+  comparison.summary = summarizeChanges(
+    doc.getXmlFragment("prosemirror"),
+    snapshot ?? Y.snapshot(doc),
+    prevSnapshot,
+    permanentUserData
+  );
+};
+
+const unrenderVersion = (editorview) => {
+  const binding = ySyncPluginKey.getState(editorview.state).binding;
+  if (binding != null) {
+    binding.unrenderSnapshot();
+  }
+  updateLiveTrackingState(editorview);
+};
+
+/**
+ * Rewrites the live document to match a version. The change goes through
+ * ProseMirror like any other local edit, so it can be undone and is
+ * attributed to us in PermanentUserData.
+ * @param {EditorView} editorview
+ * @param {Y.Doc} doc
+ * @param {Version} version
+ * @param {WebsocketProvider} provider
+ */
+const restoreVersion = (editorview, doc, version, provider) => {
+  unrenderVersion(editorview);
+  // Keep unsaved edits in the history before they're overwritten
+  sendMessage(provider, { type: "snapshot", quiet: true });
+
+  const versionDoc = Y.createDocFromSnapshot(
+    doc,
+    Y.decodeSnapshot(version.snapshot)
+  );
+  const restored = yXmlFragmentToProseMirrorRootNode(
+    versionDoc.getXmlFragment("prosemirror"),
+    schema
+  );
+  versionDoc.destroy();
+  editorview.dispatch(
+    editorview.state.tr.replaceWith(
+      0,
+      editorview.state.doc.content.size,
+      restored.content
+    )
+  );
+
+  sendMessage(provider, { type: "restored", from: version.date });
+};
+
+/**
+ * @param {EditorView} editorview
+ * @param {Y.Doc} doc
+ * @param {Version} version
+ * @param {Version|null} prevSnapshot
+ * @param {Y.PermanentUserData} permanentUserData
+ * @param {WebsocketProvider} provider
+ * @param {boolean} canEdit Whether our role lets us change the document
+ */
+const versionTemplate = (
+  editorview,
+  doc,
+  version,
+  prevSnapshot,
+  permanentUserData,
+  provider,
+  canEdit
+) => {
+  // Ensure the date is valid by checking if it's a number and within reasonable range
+  const timestamp =
+    typeof version.date === "number" && version.date > 0
+      ? version.date
+      : Date.now();
+
+  // Use the stored username if available, otherwise fall back to PermanentUserData
+  const username = version.username || 
+    permanentUserData.getUserByClientId(version.clientID) || 
+    "Unknown user";
+    
+  // Get user color based on clientID for consistent coloring
+  const userColor = getUserColor(version.clientID);
+
+  return html`<div
+    class="version-list"
+    @click=${() => renderVersion(editorview, version, prevSnapshot)}
+    style="border-left: 3px solid ${userColor}; padding-left: 5px;"
+  >
+    ${version.name
+      ? html`<div class="version-name">${version.pinned ? "📌 " : ""}${version.name}</div>`
+      : version.pinned
+        ? html`<div class="version-name">📌</div>`
+        : null}
+    ${new Date(timestamp).toLocaleString()} by <span style="color: ${userColor}; font-weight: bold;">${username}</span>
+    ${version.restoredFrom != null
+      ? html`<div class="version-restored">
+          Restored the version from ${new Date(version.restoredFrom).toLocaleString()}
+        </div>`
+      : null}
+    ${version.offline != null
+      ? html`<div class="version-offline">
+          Includes edits made offline,
+          ${new Date(version.offline.since).toLocaleString()} –
+          ${new Date(version.offline.until).toLocaleString()}
+        </div>`
+      : null}
+    <button
+      type="button"
+      class="version-action"
+      @click=${(event) => {
+        event.stopPropagation();
+        downloadMarkdown(doc, `version-${timestamp}.md`, version.snapshot);
+      }}
+    >Export Markdown</button>
+    <button
+      type="button"
+      class="version-action"
+      @click=${(event) => {
+        event.stopPropagation();
+        if (!sendMessage(provider, { type: "fork", date: version.date })) {
+          alert("You're offline. Reconnect to fork this version.");
+        }
+      }}
+    >Fork from here</button>
+    ${canEdit ? versionActions(editorview, doc, version, provider) : null}
+  </div>`;
+};
+
+/**
+ * @param {EditorView} editorview
+ * @param {Y.Doc} doc
+ * @param {Version} version
+ * @param {WebsocketProvider} provider
+ */
+const versionActions = (editorview, doc, version, provider) => html`
+  <button
+    type="button"
+    class="version-action"
+    @click=${(event) => {
+      event.stopPropagation();
+      if (confirm("Replace the current document with this version?")) {
+        restoreVersion(editorview, doc, version, provider);
+      }
+    }}
+  >Restore this version</button>
+  <button
+    type="button"
+    class="version-action"
+    @click=${(event) => {
+      event.stopPropagation();
+      const name = prompt("Name this version:", version.name || "");
+      if (name !== null) {
+        // Named versions are milestones, so keep them around
+        sendMessage(provider, { type: "label-version", date: version.date, name, pinned: name.trim() !== "" || version.pinned });
+      }
+    }}
+  >Name</button>
+  <button
+    type="button"
+    class="version-action"
+    @click=${(event) => {
+      event.stopPropagation();
+      sendMessage(provider, { type: "label-version", date: version.date, pinned: !version.pinned });
+    }}
+  >${version.pinned ? "Unpin" : "Pin"}</button>
+`;
+
+const versionList = (editorview, doc, permanentUserData, provider, canEdit) => {
+  const versions = doc.getArray("versions");
+  return html`<div>
+    ${versions.length > 0
+      ? versions.map((version, i) =>
+          versionTemplate(
+            editorview,
+            doc,
+            version,
+            i > 0 ? versions.get(i - 1).snapshot : null,
+            permanentUserData,
+            provider,
+            canEdit
+          )
+        )
+      : html`<div>No snapshots..</div>`}
+  </div>`;
+};
+
+/**
+ * Versions are created by EditorServer. The button asks it for one now.
+ * @param {WebsocketProvider} provider
+ */
+const snapshotButton = (provider) => html`<button
+  @click=${() => {
+    if (!sendMessage(provider, { type: "snapshot" })) {
+      alert("You're offline. Reconnect to take a snapshot.");
+    }
+  }}
+>Snapshot</button>`;
+
+/**
+ * @param {HTMLElement} parent
+ * @param {Y.Doc} doc
+ * @param {EditorView} editorview
+ * @param {Y.PermanentUserData} permanentUserData
+ * @param {WebsocketProvider} provider
+ * @param {(room: string) => void} openRoom Called with each fork we create
+ * @returns {() => void} Removes the version UI
+ */
+export const attachVersion = (parent, doc, editorview, permanentUserData, provider, openRoom) => {
+  let open = false;
+  // Until the server tells us our role
+  let canEdit = false;
+  const comparison = createComparison();
+  const rerender = () => {
+    render(
+      html`<div class="version-modal" ?hidden=${open}>
+        ${canEdit ? snapshotButton(provider) : null}
+        ${compareTemplate(
+          doc.getArray("versions").toArray(),
+          comparison,
+          rerender,
+          () => {
+            renderComparison(editorview, doc, permanentUserData, comparison);
+            rerender();
+          }
+        )}
+        ${versionList(editorview, doc, permanentUserData, provider, canEdit)}
+      </div>`,
+      vContainer
+    );
+  };
+  
+  const stopListening = onMessage(provider, (message) => {
+    if (message.type === "snapshot" && !message.added) {
+      alert("Nothing has changed since the last version.");
+    } else if (message.type === "fork") {
+      if (message.room === null) {
+        alert("Couldn't fork this version.");
+      } else {
+        openRoom(message.room);
+      }
+    } else if (message.type === "role") {
+      canEdit = message.role === "editor";
+      rerender();
+    }
+  });
+  
+  const liveTracking = /** @type {HTMLInputElement} */ (
+    dom.element("input", [
+      pair.create("type", "checkbox"),
+      pair.create("name", "yjs-live-tracking"),
+      pair.create("value", "Live Tracking "),
+    ])
+  );
+  liveTrackingBoxes.set(editorview, liveTracking);
+  updateLiveTrackingState(editorview);
+  const onLiveTrackingClick = () => {
+    if (liveTracking.checked) {
+      const versions = doc.getArray("versions");
+      const lastVersion =
+        versions.length > 0
+          ? Y.decodeSnapshot(versions.get(versions.length - 1).snapshot)
+          : Y.emptySnapshot;
+      editorview.dispatch(
+        editorview.state.tr.setMeta(ySyncPluginKey, {
+          snapshot: null,
+          prevSnapshot: lastVersion,
+        })
+      );
+    } else {
+      unrenderVersion(editorview);
+    }
+  };
+  liveTracking.checked = false;
+  liveTracking.addEventListener("click", onLiveTrackingClick);
+  parent.insertBefore(liveTracking, null);
+  const liveTrackingLabel = dom.element(
+    "label",
+    [pair.create("for", "yjs-live-tracking")],
+    [dom.text("Live Tracking ")]
+  );
+  parent.insertBefore(liveTrackingLabel, null);
+  const btn = document.createElement("button");
+  btn.setAttribute("type", "button");
+  btn.textContent = "Versions";
+  btn.addEventListener("click", () => {
+    open = !open;
+    unrenderVersion(editorview);
+    rerender();
+  });
+  const vContainer = document.createElement("div");
+  parent.insertBefore(btn, null);
+  parent.insertBefore(vContainer, null);
+  doc.getArray("versions").observe(rerender);
+  rerender();
+
+  return () => {
+    stopListening();
+    doc.getArray("versions").unobserve(rerender);
+    liveTracking.removeEventListener("click", onLiveTrackingClick);
+    liveTracking.remove();
+    liveTrackingBoxes.delete(editorview);
+    liveTrackingLabel.remove();
+    btn.remove();
+    vContainer.remove();
+  };
+};
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { recordAuthor } from "../src/party/attribution";
+
+/** A server doc recording whatever arrives from `client` as `name`'s */
+function serverFor(name: string) {
+  const doc = new Y.Doc({ gc: false });
+  const permanentUserData = new Y.PermanentUserData(doc);
+  doc.on("afterTransaction", (transaction: Y.Transaction) => {
+    if (transaction.origin === "client") {
+      recordAuthor(permanentUserData, name, transaction);
+    }
+  });
+  const sync = (client: Y.Doc) =>
+    Y.applyUpdate(
+      doc,
+      Y.encodeStateAsUpdate(client, Y.encodeStateVector(doc)),
+      "client"
+    );
+  return { doc, permanentUserData, sync };
+}
+
+test("records the clientIDs and deletions a client sends", () => {
+  const { doc, permanentUserData, sync } = serverFor("Alice");
+  const client = new Y.Doc();
+  client.getText("text").insert(0, "Hello world");
+  sync(client);
+  assert.equal(permanentUserData.getUserByClientId(client.clientID), "Alice");
+
+  client.getText("text").delete(0, "Hello ".length);
+  sync(client);
+  const deleted = Y.createID(client.clientID, 0);
+  assert.equal(permanentUserData.getUserByDeletedId(deleted), "Alice");
+  assert.equal(doc.getText("text").toString(), "world");
+});
+
+test("doesn't hand out clientIDs someone already has", () => {
+  const { permanentUserData, sync } = serverFor("Mallory");
+  const client = new Y.Doc();
+  permanentUserData.setUserMapping(
+    permanentUserData.doc,
+    client.clientID,
+    "Alice"
+  );
+  client.getText("text").insert(0, "Not Alice");
+  sync(client);
+  assert.equal(permanentUserData.getUserByClientId(client.clientID), "Alice");
+});
+
+test("leaves transactions that change nothing alone", () => {
+  const { doc, sync } = serverFor("Alice");
+  sync(new Y.Doc());
+  assert.equal(doc.getMap("users").size, 0);
+});
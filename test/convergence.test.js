@@ -0,0 +1,353 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+import * as Y from "yjs";
+import { joinRoom } from "../src/headless.js";
+import { onMessage, sendMessage } from "../src/messages.js";
+import { schema } from "../src/schema.js";
+
+/*
+ * Several headless clients editing the same rooms on a local `partykit dev`,
+ * which these tests start and stop themselves
+ */
+
+const AUTH_SECRET = "convergence-test-secret";
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+/** @type {import("node:child_process").ChildProcess} */
+let server;
+let host = "";
+let output = "";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = /** @type {import("node:net").AddressInfo} */ (probe.address());
+      probe.close(() => resolve(port));
+    });
+  });
+
+before(async () => {
+  const port = await freePort();
+  host = `127.0.0.1:${port}`;
+  server = spawn(
+    process.execPath,
+    [
+      "node_modules/partykit/dist/bin.mjs",
+      "dev",
+      "--port",
+      String(port),
+      "--var",
+      `AUTH_SECRET=${AUTH_SECRET}`,
+    ],
+    { cwd: root, stdio: ["ignore", "pipe", "pipe"] }
+  );
+  server.stdout.on("data", (chunk) => (output += chunk));
+  server.stderr.on("data", (chunk) => (output += chunk));
+  const deadline = Date.now() + 60 * 1000;
+  for (;;) {
+    try {
+      // Any answer, even a 401, means rooms are being served
+      await fetch(`http://${host}/parties/main/probe/content`);
+      return;
+    } catch {
+      if (server.exitCode !== null || Date.now() > deadline) {
+        throw new Error(`partykit dev didn't start:\n${output}`);
+      }
+      await sleep(500);
+    }
+  }
+});
+
+after(async () => {
+  if (server.exitCode !== null) return;
+  const exited = new Promise((resolve) => server.once("exit", resolve));
+  server.kill("SIGTERM");
+  const timer = setTimeout(() => server.kill("SIGKILL"), 10 * 1000);
+  await exited;
+  clearTimeout(timer);
+});
+
+/**
+ * @param {string} id
+ * @param {string} name
+ */
+const tokenFor = (id, name) =>
+  execFileSync(process.execPath, ["scripts/sign-token.mjs", id, name], {
+    cwd: root,
+    env: { ...process.env, AUTH_SECRET },
+  })
+    .toString()
+    .trim();
+
+let rooms = 0;
+const newRoom = () => `convergence-${Date.now()}-${rooms++}`;
+
+/**
+ * @param {string} room
+ * @param {string} id
+ * @param {string} name
+ */
+const join = (room, id, name) =>
+  joinRoom({ host, room, token: tokenFor(id, name), WebSocket });
+
+/**
+ * Waits for every client to have the same document, and for `done` to hold
+ * for it
+ * @param {import("../src/headless.js").HeadlessClient[]} clients
+ * @param {(json: any) => boolean} [done]
+ */
+const converged = async (clients, done = () => true) => {
+  const deadline = Date.now() + 10 * 1000;
+  for (;;) {
+    const docs = clients.map((client) => JSON.stringify(client.toJSON()));
+    if (docs.every((doc) => doc === docs[0]) && done(JSON.parse(docs[0]))) {
+      return JSON.parse(docs[0]);
+    }
+    if (Date.now() > deadline) {
+      assert.fail(`Clients didn't converge:\n${docs.join("\n")}`);
+    }
+    await sleep(100);
+  }
+};
+
+/** @param {any} json ProseMirror JSON */
+const textOf = (json) =>
+  (json.content ?? [])
+    .map((block) => (block.content ?? []).map((inline) => inline.text ?? "").join(""))
+    .join("\n");
+
+test("concurrent edits from several clients converge", async (t) => {
+  const room = newRoom();
+  const clients = [
+    await join(room, "alice", "Alice"),
+    await join(room, "bob", "Bob"),
+    await join(room, "carol", "Carol"),
+  ];
+  t.after(() => clients.forEach((client) => client.destroy()));
+
+  clients[0].edit((tr) => tr.insertText("Shared", 1));
+  await converged(clients, (json) => textOf(json) === "Shared");
+
+  // Without waiting for each other, at the start, middle and end
+  clients[0].edit((tr) => tr.insertText("A", 1));
+  clients[1].edit((tr) => tr.insertText("B", 4));
+  clients[2].edit((tr) => tr.insertText("C", 7));
+
+  const json = await converged(clients, (json) => textOf(json).length === 9);
+  const text = textOf(json);
+  for (const letter of ["A", "B", "C"]) {
+    assert.ok(text.includes(letter), text);
+  }
+  assert.equal(text.replace(/[ABC]/g, ""), "Shared");
+});
+
+test("concurrent new blocks converge", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  const bob = await join(room, "bob", "Bob");
+  t.after(() => [alice, bob].forEach((client) => client.destroy()));
+
+  alice.edit((tr) => tr.insertText("First", 1));
+  await converged([alice, bob], (json) => textOf(json) === "First");
+
+  /** @param {string} text */
+  const paragraph = (text) => schema.nodes.paragraph.create(null, schema.text(text));
+  alice.edit((tr) => tr.insert(tr.doc.content.size, paragraph("From Alice")));
+  bob.edit((tr) => tr.insert(tr.doc.content.size, paragraph("From Bob")));
+
+  const json = await converged([alice, bob], (json) => json.content.length === 3);
+  assert.deepEqual(textOf(json).split("\n").sort(), ["First", "From Alice", "From Bob"]);
+});
+
+test("edits made while disconnected converge once reconnected", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  const bob = await join(room, "bob", "Bob");
+  t.after(() => [alice, bob].forEach((client) => client.destroy()));
+
+  alice.edit((tr) => tr.insertText("Draft", 1));
+  await converged([alice, bob], (json) => textOf(json) === "Draft");
+
+  bob.provider.disconnect();
+  bob.edit((tr) => tr.insertText(" offline", 6));
+  alice.edit((tr) => tr.insertText("Online ", 1));
+  await sleep(300);
+  assert.equal(textOf(alice.toJSON()), "Online Draft");
+
+  bob.provider.connect();
+  const json = await converged([alice, bob], (json) => textOf(json).length > 12);
+  assert.equal(textOf(json), "Online Draft offline");
+});
+
+test("viewers' edits don't reach anyone else", async (t) => {
+  const room = newRoom();
+  const owner = await join(room, "alice", "Alice");
+  t.after(() => owner.destroy());
+  sendMessage(owner.provider, { type: "set-default-role", role: "viewer" });
+  owner.edit((tr) => tr.insertText("Read me", 1));
+  await sleep(300);
+
+  const viewer = await join(room, "bob", "Bob");
+  t.after(() => viewer.destroy());
+  assert.equal(viewer.role, "viewer");
+  await converged([owner, viewer], (json) => textOf(json) === "Read me");
+
+  viewer.edit((tr) => tr.insertText("Vandalised ", 1));
+  owner.edit((tr) => tr.insertText(", please", 8));
+  await sleep(1000);
+
+  assert.equal(textOf(owner.toJSON()), "Read me, please");
+  const latecomer = await join(room, "carol", "Carol");
+  t.after(() => latecomer.destroy());
+  assert.equal(textOf(latecomer.toJSON()), "Read me, please");
+});
+
+test("versions taken by one client reach the others", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  const bob = await join(room, "bob", "Bob");
+  t.after(() => [alice, bob].forEach((client) => client.destroy()));
+
+  alice.edit((tr) => tr.insertText("Version one", 1));
+  await converged([alice, bob], (json) => textOf(json) === "Version one");
+  assert.equal(await alice.snapshot(), true);
+
+  const deadline = Date.now() + 10 * 1000;
+  while (bob.doc.getArray("versions").length === 0 && Date.now() < deadline) {
+    await sleep(100);
+  }
+  assert.deepEqual(
+    bob.doc.getArray("versions").toJSON(),
+    alice.doc.getArray("versions").toJSON()
+  );
+  assert.equal(bob.doc.getArray("versions").length, 1);
+});
+
+test("versions still render after the room reloads from storage", async () => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  alice.edit((tr) => tr.insertText("Hello world", 1));
+  await sleep(300);
+  assert.equal(await alice.snapshot(), true);
+  alice.edit((tr) => tr.delete(1, 1 + "Hello ".length));
+  await sleep(300);
+  // The last connection closing unloads the room
+  alice.destroy();
+  await sleep(1000);
+
+  const headers = { Authorization: `Bearer ${tokenFor("alice", "Alice")}` };
+  const base = `http://${host}/parties/main/${room}`;
+  const { versions } = await (await fetch(`${base}/versions`, { headers })).json();
+  const first = await fetch(`${base}/versions/${versions[0].date}?format=text`, {
+    headers,
+  });
+  assert.equal((await first.text()).trim(), "Hello world");
+  const live = await fetch(`${base}/content?format=text`, { headers });
+  assert.equal((await live.text()).trim(), "world");
+});
+
+test("only rooms can seed forks", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  t.after(() => alice.destroy());
+  alice.edit((tr) => tr.insertText("Original", 1));
+  await sleep(300);
+  assert.equal(await alice.snapshot(), true);
+  const [{ date }] = alice.doc.getArray("versions").toJSON();
+
+  const reply = new Promise((resolve) => {
+    const stop = onMessage(alice.provider, (message) => {
+      if (message.type !== "fork") return;
+      stop();
+      resolve(message.room);
+    });
+  });
+  sendMessage(alice.provider, { type: "fork", date });
+  const fork = await reply;
+  assert.equal(typeof fork, "string");
+  const copy = await join(fork, "alice", "Alice");
+  t.after(() => copy.destroy());
+  assert.equal(textOf(copy.toJSON()), "Original");
+
+  // Straight from a client, with whatever update it likes
+  const params = new URLSearchParams({ from: room, version: String(date) });
+  const res = await fetch(`http://${host}/parties/main/${newRoom()}/fork?${params}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor("bob", "Bob")}` },
+    body: new Uint8Array([0, 0]),
+  });
+  assert.equal(res.status, 403);
+});
+
+test("merges that aren't a fork's state are refused", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  t.after(() => alice.destroy());
+  alice.edit((tr) => tr.insertText("Untouched", 1));
+  await sleep(300);
+
+  const res = await fetch(`http://${host}/parties/main/${room}/merge?fork=${newRoom()}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor("alice", "Alice")}` },
+    // A three-byte "update" that isn't one, and no last merge
+    body: new Uint8Array([3, 255, 255, 255, 0]),
+  });
+  assert.equal(res.status, 400);
+  assert.equal(textOf(alice.toJSON()), "Untouched");
+});
+
+test("the server says who wrote what, and clients can't", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  const bob = await join(room, "bob", "Bob");
+  t.after(() => [alice, bob].forEach((client) => client.destroy()));
+
+  alice.edit((tr) => tr.insertText("Signed", 1));
+  alice.doc.getMap("comments").set("forged", "Not from the server");
+  alice.doc.getMap("users").set("Bob", "Taken over");
+  await converged([alice, bob], (json) => textOf(json) === "Signed");
+  await sleep(500);
+
+  for (const client of [alice, bob]) {
+    const users = new Y.PermanentUserData(client.doc);
+    assert.equal(users.getUserByClientId(alice.doc.clientID), "Alice");
+    assert.equal(client.doc.getMap("comments").has("forged"), false);
+    assert.notEqual(client.doc.getMap("users").get("Bob"), "Taken over");
+  }
+});
+
+test("uploads whose uploader left don't leave placeholders behind", async (t) => {
+  const room = newRoom();
+  const alice = await join(room, "alice", "Alice");
+  const bob = await join(room, "bob", "Bob");
+  t.after(() => [alice, bob].forEach((client) => client.destroy()));
+
+  /** @param {string} name */
+  const placeholder = (name) => schema.nodes.image_upload.create({ id: `upload-${name}`, name });
+  /** @param {any} json */
+  const uploaders = (json) =>
+    json.content
+      .flatMap((block) => block.content ?? [])
+      .filter((node) => node.type === "image_upload")
+      .map((node) => node.attrs.name);
+  alice.edit((tr) => tr.insertText("Photos", 1).insert(7, placeholder("Alice")));
+  await converged([alice, bob], (json) => uploaders(json).length === 1);
+  bob.edit((tr) => tr.insert(1, placeholder("Bob")));
+  await converged([alice, bob], (json) => uploaders(json).length === 2);
+
+  // Gone mid-upload
+  alice.provider.disconnect();
+  const deadline = Date.now() + 10 * 1000;
+  while (uploaders(bob.toJSON()).length === 2 && Date.now() < deadline) {
+    await sleep(100);
+  }
+  assert.deepEqual(uploaders(bob.toJSON()), ["Bob"]);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { documentAt, editAs, editFromJSON } from "../src/party/edits";
+
+const paragraph = (text: string) => ({
+  type: "paragraph",
+  content: [{ type: "text", text }],
+});
+
+test("rejects a doc that isn't a whole document", () => {
+  assert.throws(
+    () => editFromJSON({ doc: paragraph("Not a document") }),
+    /Expected a "doc" node/
+  );
+});
+
+test("rejects content the schema doesn't allow", () => {
+  assert.throws(() =>
+    editFromJSON({ doc: { type: "doc", content: [{ type: "text", text: "x" }] } })
+  );
+});
+
+test("replaces the document with { doc }", async () => {
+  const doc = new Y.Doc();
+  const next = editFromJSON({ doc: { type: "doc", content: [paragraph("Hello")] } });
+  assert.ok(next);
+
+  await editAs(doc, "Alice", next);
+
+  assert.equal(documentAt(doc).textContent, "Hello");
+});
+
+test("applies { steps } to the current document", async () => {
+  const doc = new Y.Doc();
+  await editAs(doc, "Alice", editFromJSON({ doc: { type: "doc", content: [paragraph("Hello")] } })!);
+  const next = editFromJSON({
+    steps: [
+      {
+        stepType: "replace",
+        from: 6,
+        to: 6,
+        slice: { content: [{ type: "text", text: " world" }] },
+      },
+    ],
+  });
+  assert.ok(next);
+
+  await editAs(doc, "Alice", next);
+
+  assert.equal(documentAt(doc).textContent, "Hello world");
+});
+
+test("leaves the document alone when an edit fails", async () => {
+  const doc = new Y.Doc();
+  await editAs(doc, "Alice", editFromJSON({ doc: { type: "doc", content: [paragraph("Hello")] } })!);
+  const before = Y.encodeStateVector(doc);
+  const next = editFromJSON({
+    steps: [{ stepType: "replace", from: 100, to: 100, slice: { content: [] } }],
+  });
+  assert.ok(next);
+
+  await assert.rejects(editAs(doc, "Alice", next));
+
+  assert.deepEqual(Y.encodeStateVector(doc), before);
+  assert.equal(documentAt(doc).textContent, "Hello");
+});
+
+test("ignores bodies that aren't edits", () => {
+  assert.equal(editFromJSON(null), null);
+  assert.equal(editFromJSON({ text: "Hello" }), null);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { schema } from "../src/schema.js";
+import { toHTML, toText } from "../src/party/html";
+
+const { nodes, marks } = schema;
+
+const suggested = (type: "added" | "removed") => [
+  marks.suggestion.create({ user: "Bob", type, id: type }),
+];
+
+const pending = nodes.doc.create(null, [
+  nodes.paragraph.create(null, [
+    schema.text("Meet "),
+    schema.text("Tuesday", suggested("removed")),
+    schema.text("Friday", suggested("added")),
+    schema.text(" at noon"),
+  ]),
+  nodes.paragraph.create(null, schema.text("Bring snacks")),
+]);
+
+test("exports the text as it was before pending suggestions", () => {
+  assert.equal(toHTML(pending), "<p>Meet Tuesday at noon</p><p>Bring snacks</p>");
+  assert.equal(toText(pending), "Meet Tuesday at noon\n\nBring snacks");
+});
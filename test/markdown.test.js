@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { schema } from "../src/schema.js";
+import { fromMarkdown, toMarkdown } from "../src/markdown.js";
+
+/** @typedef {import("prosemirror-model").Node} Node */
+
+const { nodes, marks } = schema;
+
+/**
+ * @param {string} text
+ * @param {import("prosemirror-model").Mark[]} [textMarks]
+ */
+const text = (text, textMarks) => schema.text(text, textMarks);
+/** @param {(Node|string)[]} content */
+const p = (...content) =>
+  nodes.paragraph.create(
+    null,
+    content.filter((c) => c !== "").map((c) => (typeof c === "string" ? text(c) : c))
+  );
+/** @param {Node[]} content */
+const doc = (...content) => nodes.doc.create(null, content);
+/** @param {(Node|string)[][]} rows The first row is the header */
+const table = (...rows) =>
+  nodes.table.create(
+    null,
+    rows.map((cells, i) =>
+      nodes.table_row.create(
+        null,
+        cells.map((cell) =>
+          (i === 0 ? nodes.table_header : nodes.table_cell).create(
+            null,
+            typeof cell === "string" ? p(cell) : cell
+          )
+        )
+      )
+    )
+  );
+
+/** Documents that come back from Markdown unchanged, by what they cover */
+const roundTrips = {
+  paragraphs: doc(p("One"), p("Two")),
+  headings: doc(
+    nodes.heading.create({ level: 1 }, text("Title")),
+    nodes.heading.create({ level: 3 }, text("Section"))
+  ),
+  blockquote: doc(nodes.blockquote.create(null, [p("Quoted"), p("Twice")])),
+  "horizontal rule": doc(p("Above"), nodes.horizontal_rule.create(), p("Below")),
+  "code block": doc(nodes.code_block.create(null, text("let x = 1;\nx *= 2;"))),
+  "bullet list": doc(
+    nodes.bullet_list.create(null, [
+      nodes.list_item.create(null, p("First")),
+      nodes.list_item.create(null, [
+        p("Second"),
+        nodes.bullet_list.create(null, nodes.list_item.create(null, p("Nested"))),
+      ]),
+    ])
+  ),
+  "ordered list": doc(
+    nodes.ordered_list.create({ order: 3 }, [
+      nodes.list_item.create(null, p("Third")),
+      nodes.list_item.create(null, p("Fourth")),
+    ])
+  ),
+  "task list": doc(
+    nodes.task_list.create(null, [
+      nodes.task_item.create({ checked: true }, p("Done")),
+      nodes.task_item.create({ checked: false }, p("To do")),
+    ])
+  ),
+  "empty task items": doc(
+    nodes.task_list.create(null, [
+      nodes.task_item.create({ checked: false }, p()),
+      nodes.task_item.create({ checked: true }, p()),
+    ])
+  ),
+  image: doc(
+    p(
+      "See ",
+      nodes.image.create({ src: "https://example.com/a.png", alt: "A chart", title: "Sales" })
+    )
+  ),
+  "hard break": doc(p("Line one", nodes.hard_break.create(), "line two")),
+  marks: doc(
+    p(
+      text("emphasis", [marks.em.create()]),
+      " ",
+      text("strong", [marks.strong.create()]),
+      " ",
+      text("both", [marks.em.create(), marks.strong.create()]),
+      " ",
+      text("code", [marks.code.create()]),
+      " ",
+      text("link", [marks.link.create({ href: "https://example.com", title: "Example" })])
+    )
+  ),
+  table: doc(table(["Name", "Count"], ["Apples", "3"], ["Pipes | bars", ""])),
+  "table cells with several blocks": doc(
+    table(["Notes", "Owner"], [[p("First"), p("Second")], "Alice"])
+  ),
+  "table cell text that looks like a break": doc(table(["Tag"], ["<br> and <br/>"])),
+};
+
+for (const [name, original] of Object.entries(roundTrips)) {
+  test(`round-trips ${name}`, () => {
+    const markdown = toMarkdown(original);
+    assert.deepEqual(fromMarkdown(markdown).toJSON(), original.toJSON(), markdown);
+  });
+}
+
+test("leaves change tracking and unfinished uploads out", () => {
+  const original = doc(
+    p(
+      text("kept", [marks.ychange.create({ user: "Alice", type: "added" })]),
+      " as is",
+      nodes.image_upload.create({ id: "u1", name: "Alice" })
+    )
+  );
+  assert.equal(toMarkdown(original), "kept as is");
+});
+
+test("exports the text as it was before pending suggestions", () => {
+  /** @param {"added"|"removed"} type */
+  const suggested = (type) => [marks.suggestion.create({ user: "Bob", type, id: type })];
+  const original = doc(
+    p("Meet ", text("Tuesday", suggested("removed")), text("Friday", suggested("added")), " at noon")
+  );
+  const markdown = toMarkdown(original);
+  assert.equal(markdown, "Meet Tuesday at noon");
+  assert.deepEqual(fromMarkdown(markdown).toJSON(), doc(p("Meet Tuesday at noon")).toJSON());
+});
+
+test("covers every node and mark in the schema", () => {
+  const seenNodes = new Set();
+  const seenMarks = new Set();
+  const covered = [
+    ...Object.values(roundTrips),
+    doc(
+      p(
+        text("x", [marks.ychange.create(), marks.suggestion.create({ id: "s1", type: "added" })]),
+        nodes.image_upload.create({ id: "u1" })
+      )
+    ),
+  ];
+  for (const node of covered) {
+    seenNodes.add(node.type.name);
+    node.descendants((child) => {
+      seenNodes.add(child.type.name);
+      child.marks.forEach((mark) => seenMarks.add(mark.type.name));
+    });
+  }
+  assert.deepEqual([...seenNodes].sort(), Object.keys(nodes).sort());
+  assert.deepEqual([...seenMarks].sort(), Object.keys(marks).sort());
+});
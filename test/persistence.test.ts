@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type * as Party from "partykit/server";
+import * as Y from "yjs";
+import { YPartyKitStorage } from "y-partykit/storage";
+import { compactDocument, loadDocument } from "../src/party/persistence";
+
+/** Room storage in memory, with the parts of the API y-partykit uses */
+class MemoryStorage {
+  entries = new Map<string, unknown>();
+
+  async get(key: string) {
+    return this.entries.get(key);
+  }
+
+  async put(key: string, value: unknown) {
+    this.entries.set(key, value);
+  }
+
+  async delete(keys: string | string[]) {
+    for (const key of Array.isArray(keys) ? keys : [keys]) {
+      this.entries.delete(key);
+    }
+    return true;
+  }
+
+  async list({
+    start = "",
+    end,
+    reverse = false,
+    limit = Infinity,
+  }: {
+    start?: string;
+    end?: string;
+    reverse?: boolean;
+    limit?: number;
+  }) {
+    const keys = [...this.entries.keys()]
+      .filter((key) => key >= start && (end === undefined || key < end))
+      .sort();
+    if (reverse) keys.reverse();
+    return new Map(keys.slice(0, limit).map((key) => [key, this.entries.get(key)]));
+  }
+
+  async transaction<T>(fn: () => Promise<T>) {
+    return fn();
+  }
+}
+
+const NAME = "report";
+
+/**
+ * A room whose log holds "Hello world", a snapshot of it, and the deletion
+ * of "Hello ", each stored as y-partykit stores updates
+ */
+async function editedRoom() {
+  const storage = new MemoryStorage() as unknown as Party.Storage;
+  const log = new YPartyKitStorage(storage);
+  const doc = new Y.Doc({ gc: false });
+  doc.on("update", (update: Uint8Array) => {
+    log.storeUpdate(NAME, update);
+  });
+  const text = doc.getText("text");
+  text.insert(0, "Hello world");
+  const snapshot = Y.snapshot(doc);
+  text.delete(0, "Hello ".length);
+  // Stored updates are queued
+  await log.tr;
+  return { storage, log, doc, snapshot };
+}
+
+const textAt = (doc: Y.Doc, snapshot: Y.Snapshot) =>
+  Y.createDocFromSnapshot(doc, snapshot).getText("text").toString();
+
+test("y-partykit's own loading drops deleted content", async () => {
+  const { log, snapshot } = await editedRoom();
+  const loaded = await log.getYDoc(NAME);
+  assert.equal(loaded.getText("text").toString(), "world");
+  assert.throws(() => textAt(loaded, snapshot));
+});
+
+test("loadDocument keeps what old snapshots need", async () => {
+  const { storage, snapshot } = await editedRoom();
+  const loaded = await loadDocument(storage, NAME);
+  assert.equal(loaded.gc, false);
+  assert.equal(loaded.getText("text").toString(), "world");
+  assert.equal(textAt(loaded, snapshot), "Hello world");
+});
+
+test("compactDocument merges the log without losing deleted content", async () => {
+  const { storage, log, doc, snapshot } = await editedRoom();
+  const before = await storage.list({});
+
+  await compactDocument(doc, log, NAME, { maxUpdates: 1, maxBytes: Infinity });
+
+  const after = await storage.list({});
+  assert.ok(after.size < before.size);
+  const loaded = await loadDocument(storage, NAME);
+  assert.equal(textAt(loaded, snapshot), "Hello world");
+});
+
+test("compactDocument leaves short logs alone", async () => {
+  const { storage, log, doc } = await editedRoom();
+  const before = [...(await storage.list({})).keys()];
+
+  await compactDocument(doc, log, NAME, { maxUpdates: 100, maxBytes: 1_000_000 });
+
+  assert.deepEqual([...(await storage.list({})).keys()], before);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type * as Party from "partykit/server";
+import OccupancyServer from "../src/party/rooms";
+import { roomSecretHeaders } from "../src/party/auth";
+
+const env = { AUTH_SECRET: "rooms-test-secret" };
+
+/** A lobby room with the storage of `entries`, kept across restarts */
+const lobbyRoom = (entries: Map<string, unknown>) =>
+  ({
+    env,
+    broadcast: () => {},
+    storage: {
+      get: async (key: string) => entries.get(key),
+      put: async (key: string, value: unknown) => {
+        entries.set(key, value);
+      },
+      delete: async (keys: string[]) => {
+        keys.forEach((key) => entries.delete(key));
+        return keys.length;
+      },
+    },
+  }) as unknown as Party.Room;
+
+const startLobby = async (entries: Map<string, unknown>) => {
+  const lobby = new OccupancyServer(lobbyRoom(entries));
+  await lobby.onStart();
+  return lobby;
+};
+
+const report = (lobby: OccupancyServer, body: Record<string, unknown>) =>
+  lobby.onRequest(
+    new Request("http://lobby/parties/rooms/index", {
+      method: "POST",
+      headers: roomSecretHeaders(env),
+      body: JSON.stringify(body),
+    }) as unknown as Party.Request
+  );
+
+const lookUp = async (lobby: OccupancyServer, room: string) =>
+  (
+    await lobby.onRequest(
+      new Request(
+        `http://lobby/parties/rooms/index?room=${room}`
+      ) as unknown as Party.Request
+    )
+  ).json();
+
+test("forgets occupants, but not forks, when it restarts", async () => {
+  const entries = new Map<string, unknown>([
+    // As stored before occupants were kept in memory only
+    ["rooms", { notes: 2 }],
+    ["presence", { notes: { 1: { name: "Ghost", joinedAt: 0, lastActiveAt: 0 } } }],
+  ]);
+  const lobby = await startLobby(entries);
+  await report(lobby, {
+    room: "copy",
+    count: 1,
+    users: [{ clientID: 7, name: "Alice", lastActiveAt: Date.now() }],
+    forkedFrom: { room: "notes", version: 1 },
+  });
+  assert.equal((await lookUp(lobby, "copy")).count, 1);
+  assert.equal((await lookUp(lobby, "notes")).count, 0);
+
+  const restarted = await startLobby(entries);
+  assert.deepEqual(await lookUp(restarted, "copy"), {
+    room: "copy",
+    count: 0,
+    users: {},
+    forkedFrom: { room: "notes", version: 1 },
+  });
+  assert.deepEqual([...entries.keys()], ["forks"]);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { prosemirrorToYXmlFragment } from "y-prosemirror";
+import { schema } from "../src/schema.js";
+import {
+  checkFragment,
+  FragmentChecker,
+  repairFragment,
+} from "../src/party/validation";
+
+const { nodes } = schema;
+
+const paragraph = (text: string) => nodes.paragraph.create(null, schema.text(text));
+
+/** A Y.Doc whose fragment holds a paragraph per text */
+const docWith = (...texts: string[]) => {
+  const doc = new Y.Doc();
+  const fragment = doc.getXmlFragment("prosemirror");
+  prosemirrorToYXmlFragment(nodes.doc.create(null, texts.map(paragraph)), fragment);
+  return { doc, fragment };
+};
+
+test("reads a valid fragment without problems", () => {
+  const { fragment } = docWith("One", "Two");
+  const { doc, problems } = checkFragment(fragment);
+  assert.deepEqual(problems, []);
+  assert.equal(doc.childCount, 2);
+  assert.equal(doc.textContent, "OneTwo");
+});
+
+test("leaves out what the schema doesn't allow, and repairs it", () => {
+  const { fragment } = docWith("One");
+  fragment.insert(1, [new Y.XmlElement("marquee")]);
+  const text = new Y.XmlText();
+  fragment.insert(2, [text]);
+  text.insert(0, "loose text");
+  (fragment.get(0) as Y.XmlElement).setAttribute("onclick", "alert(1)");
+
+  const checked = checkFragment(fragment);
+  assert.deepEqual(checked.problems.sort(), [
+    '"text" inside "doc"',
+    'unknown attributes on "paragraph"',
+    'unknown node "marquee"',
+  ]);
+
+  repairFragment(fragment, checked.doc);
+  assert.deepEqual(checkFragment(fragment).problems, []);
+  assert.equal(fragment.length, 1);
+});
+
+test("fills in content a node requires", () => {
+  const { fragment } = docWith("One");
+  fragment.insert(1, [new Y.XmlElement("bullet_list")]);
+  const { doc, problems } = checkFragment(fragment);
+  assert.deepEqual(problems, ['missing content in "bullet_list"']);
+  assert.equal(doc.child(1).type, nodes.bullet_list);
+  doc.check();
+});
+
+test("FragmentChecker agrees with checkFragment as the fragment changes", () => {
+  const { fragment } = docWith("One", "Two", "Three");
+  const checker = new FragmentChecker(fragment);
+  const same = () => {
+    const incremental = checker.check();
+    const full = checkFragment(fragment);
+    assert.ok(incremental.doc.eq(full.doc));
+    assert.deepEqual(incremental.problems, full.problems);
+  };
+  same();
+
+  ((fragment.get(1) as Y.XmlElement).get(0) as Y.XmlText).insert(3, " more");
+  same();
+  fragment.insert(3, [new Y.XmlElement("marquee")]);
+  same();
+  fragment.delete(3, 1);
+  same();
+  (fragment.get(0) as Y.XmlElement).setAttribute("onclick", "alert(1)");
+  same();
+  fragment.delete(0, 1);
+  same();
+});
+
+test("FragmentChecker only reads the blocks that changed", () => {
+  const { fragment } = docWith("One", "Two");
+  const checker = new FragmentChecker(fragment);
+  const before = checker.check().doc;
+
+  ((fragment.get(1) as Y.XmlElement).get(0) as Y.XmlText).insert(3, "!");
+  const after = checker.check().doc;
+
+  assert.equal(after.child(0), before.child(0));
+  assert.notEqual(after.child(1), before.child(1));
+  assert.equal(after.child(1).textContent, "Two!");
+});
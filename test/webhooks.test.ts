@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, type IncomingMessage } from "node:http";
+import type { AddressInfo } from "node:net";
+import {
+  SIGNATURE_HEADER,
+  WebhookSender,
+  signPayload,
+  type Webhook,
+} from "../src/party/webhooks";
+
+type Received = { req: IncomingMessage; body: string };
+
+/** A local endpoint that answers with `status` and records each request */
+async function receiver(status = 200) {
+  const received: Received[] = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ req, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+  return {
+    url: `http://127.0.0.1:${port}/hook`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const hook = (url: string, events: Webhook["events"] = []): Webhook => ({
+  id: "hook-1",
+  url,
+  secret: "webhook-secret",
+  events,
+});
+
+test("delivers signed events through the default fetcher", async (t) => {
+  const endpoint = await receiver();
+  t.after(endpoint.close);
+  const sender = new WebhookSender("quarterly-report", []);
+  const body = JSON.stringify({ event: "version.created", room: "quarterly-report" });
+
+  await sender.deliver(hook(endpoint.url), "version.created", body, 0);
+
+  assert.equal(endpoint.received.length, 1);
+  const [{ req, body: received }] = endpoint.received;
+  assert.equal(req.method, "POST");
+  assert.equal(req.headers["content-type"], "application/json");
+  assert.equal(req.headers["x-webhook-event"], "version.created");
+  assert.equal(req.headers["x-webhook-id"], "hook-1");
+  assert.equal(
+    req.headers[SIGNATURE_HEADER.toLowerCase()],
+    `sha256=${await signPayload("webhook-secret", body)}`
+  );
+  assert.equal(received, body);
+});
+
+test("retries failed deliveries, then gives up", async (t) => {
+  const endpoint = await receiver(500);
+  t.after(endpoint.close);
+  t.mock.method(console, "error", () => {});
+  const sender = new WebhookSender("quarterly-report", [0, 0]);
+
+  sender.send([hook(endpoint.url)], "user.joined", { user: "Alice" });
+  for (let i = 0; i < 50 && endpoint.received.length < 3; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  assert.equal(endpoint.received.length, 3);
+  assert.deepEqual(
+    endpoint.received.map(({ body }) => JSON.parse(body).user),
+    ["Alice", "Alice", "Alice"]
+  );
+});
+
+test("only sends the events a webhook subscribed to", async (t) => {
+  const endpoint = await receiver();
+  t.after(endpoint.close);
+  const sender = new WebhookSender("quarterly-report", []);
+
+  sender.send([hook(endpoint.url, ["user.left"])], "user.joined", {});
+  sender.send([hook(endpoint.url, ["user.left"])], "user.left", {});
+  for (let i = 0; i < 50 && endpoint.received.length < 1; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  assert.deepEqual(
+    endpoint.received.map(({ req }) => req.headers["x-webhook-event"]),
+    ["user.left"]
+  );
+});